@@ -9,100 +9,26 @@
  * - Audience-specific messaging analysis
  * - Content campaign detection
  * - Quality metrics and patterns
+ * - Emerging themes the taxonomy doesn't cover (keyphrases and clustering)
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { parseISO, format, differenceInDays, subMonths, isAfter } = require('date-fns');
-
-// Configuration
-let config;
-try {
-  config = require('./config.json');
-} catch (error) {
-  console.error('[ERROR] Could not load config.json:', error.message);
-  process.exit(1);
-}
-
-const DATA_FILE = path.join(__dirname, config.output.dataFile);
-
-// Strategic topic patterns to identify
-const STRATEGIC_TOPICS = {
-  clinical: [
-    'chronic pain', 'back pain', 'knee pain', 'hip pain', 'shoulder pain', 'neck pain',
-    'behavioral health', 'mental health', 'pelvic health', 'pelvic floor',
-    'arthritis', 'sciatica', 'tendonitis', 'osteoarthritis',
-    'physical therapy', 'exercise therapy', 'pain management', 'pain relief',
-    'musculoskeletal', 'msk care', 'fall prevention', 'injury prevention'
-  ],
-  business: [
-    'employer', 'employers', 'cost savings', 'roi', 'return on investment',
-    'member engagement', 'employee engagement', 'utilization', 'outcomes',
-    'claims', 'medical claims', 'healthcare costs', 'total cost',
-    'productivity', 'absenteeism', 'presenteeism', 'disability',
-    'benefits', 'health plan', 'wellness program'
-  ],
-  technology: [
-    'digital health', 'digital msk', 'telehealth', 'telemedicine', 'virtual',
-    'ai', 'artificial intelligence', 'machine learning', 'computer vision',
-    'remote monitoring', 'wearable', 'sensor', 'motion tracking',
-    'app', 'mobile', 'platform', 'technology', 'enso', 'truemotion'
-  ],
-  market: [
-    'msk', 'value-based care', 'population health',
-    'clinical outcomes', 'patient outcomes', 'evidence-based',
-    'research', 'study', 'clinical study', 'white paper', 'report',
-    'partnership', 'integration', 'provider network'
-  ]
-};
-
-// Comprehensive stop words
-const STOP_WORDS = new Set([
-  // Generic brand terms
-  'hinge', 'health', 'hingehealth',
-  // Generic action words
-  'exercises', 'exercise', 'treatment', 'treatments', 'causes', 'symptoms',
-  'guide', 'definition', 'according', 'relief', 'treat', 'stretches',
-  // Common words
-  'physical', 'therapists', 'therapy', 'people', 'person', 'patient',
-  'condition', 'conditions', 'common', 'about', 'what', 'when', 'where',
-  'which', 'their', 'there', 'these', 'those', 'could', 'would', 'should',
-  'things', 'something', 'someone', 'anyone', 'everyone'
-]);
-
-/**
- * Load content data
- */
-async function loadData() {
-  try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.error('[ERROR] No data file found. Please run scraper first (npm run scrape)');
-      process.exit(1);
-    }
-    throw error;
-  }
-}
-
-/**
- * Extract strategic topics from text using phrase matching
- */
-function extractStrategicTopics(text) {
-  const textLower = text.toLowerCase();
-  const found = { clinical: [], business: [], technology: [], market: [] };
-
-  Object.entries(STRATEGIC_TOPICS).forEach(([category, patterns]) => {
-    patterns.forEach(pattern => {
-      if (textLower.includes(pattern)) {
-        found[category].push(pattern);
-      }
-    });
-  });
-
-  return found;
-}
+const {
+  TOPIC_CATEGORIES,
+  AUDIENCES,
+  extractStrategicTopics,
+  mentionsKeyword,
+  reportedTopics,
+  topicLevelFromArgs,
+  emptyTopicMap,
+  isRecent,
+  splitByRecency,
+  loadDataset,
+  liveContent
+} = require('./hinge-core');
+const { discoverThemes } = require('./hinge-discovery');
+
+// Taxonomy depth to roll topics up to (--level N, read in main), or null to report topics as matched
+let TOPIC_LEVEL = null;
 
 /**
  * Analyze strategic topics across all content
@@ -110,12 +36,11 @@ function extractStrategicTopics(text) {
 function analyzeStrategicTopics(content) {
   console.log('\n=== STRATEGIC TOPIC ANALYSIS ===\n');
 
-  const topicCounts = { clinical: {}, business: {}, technology: {}, market: {} };
-  const topicContent = { clinical: {}, business: {}, technology: {}, market: {} };
+  const topicCounts = emptyTopicMap();
+  const topicContent = emptyTopicMap();
 
   content.forEach(item => {
-    const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-    const topics = extractStrategicTopics(text);
+    const topics = extractStrategicTopics(item, TOPIC_LEVEL);
 
     Object.entries(topics).forEach(([category, foundTopics]) => {
       foundTopics.forEach(topic => {
@@ -127,7 +52,7 @@ function analyzeStrategicTopics(content) {
   });
 
   // Display each category with examples
-  ['clinical', 'business', 'technology', 'market'].forEach(category => {
+  TOPIC_CATEGORIES.forEach(category => {
     const sorted = Object.entries(topicCounts[category])
       .sort(([, a], [, b]) => b - a)
       .slice(0, 10);
@@ -156,7 +81,10 @@ function analyzeStrategicTopics(content) {
   const benefitsCount = topicCounts.business?.benefits || 0;
   const roiCount = topicCounts.business?.roi || 0;
 
-  console.log(`→ AI is their MEGA-BET: ${aiCount} pieces (${((aiCount/content.length)*100).toFixed(1)}%) - Half of all content!`);
+  const aiPct = (aiCount / content.length) * 100;
+  console.log(aiPct >= 25
+    ? `→ AI is their MEGA-BET: ${aiCount} pieces (${aiPct.toFixed(1)}%) - a big share of all content!`
+    : `→ AI is a niche theme: ${aiCount} pieces (${aiPct.toFixed(1)}%) - not a content pillar`);
   console.log(`→ Benefits/employer focus: ${benefitsCount} pieces on benefits vs only ${roiCount} on ROI`);
   console.log(`→ Clinical breadth strategy: Heavy coverage of pain types (back, knee, hip, pelvic)`);
   console.log('');
@@ -200,7 +128,7 @@ function analyzeSubtopics(content, topicData) {
       if (text.includes('member') || text.includes('patient') || text.includes('experience')) {
         aiSubtopics['ai + member'].push(item);
       }
-      if (text.includes('cost') || text.includes('savings') || text.includes('roi') || text.includes('affordable')) {
+      if (text.includes('cost') || text.includes('savings') || mentionsKeyword(text, 'roi') || text.includes('affordable')) {
         aiSubtopics['ai + cost'].push(item);
       }
       if (text.includes('care') || text.includes('treatment') || text.includes('therapy')) {
@@ -260,11 +188,11 @@ function analyzeSubtopics(content, topicData) {
           text.includes('evidence') || item.contentType === 'report-guide') {
         mskTypes['research/evidence'].push(item);
       }
-      if (text.includes('platform') || text.includes('app') || text.includes('technology') ||
+      if (text.includes('platform') || mentionsKeyword(text, 'app') || text.includes('technology') ||
           text.includes('digital') || text.includes('enso') || text.includes('truemotion')) {
         mskTypes['product features'].push(item);
       }
-      if (text.includes('roi') || text.includes('cost') || text.includes('savings') ||
+      if (mentionsKeyword(text, 'roi') || text.includes('cost') || text.includes('savings') ||
           text.includes('employer') || text.includes('benefits')) {
         mskTypes['business value'].push(item);
       }
@@ -423,7 +351,7 @@ function analyzeMessaging(content, topicData) {
       const text = `${item.title} ${item.metaDescription}`.toLowerCase();
 
       Object.entries(valuePropKeywords).forEach(([message, keywords]) => {
-        if (keywords.some(kw => text.includes(kw))) {
+        if (keywords.some(kw => mentionsKeyword(text, kw))) {
           messageCounts[message] = (messageCounts[message] || 0) + 1;
         }
       });
@@ -464,32 +392,16 @@ function analyzeTrending(content) {
   }
 
   // Split into recent (last 3 months) vs older
-  const threeMonthsAgo = subMonths(new Date(), 3);
-  const recent = [];
-  const older = [];
-
-  withDates.forEach(item => {
-    try {
-      const date = parseISO(item.publishDate + 'T00:00:00');
-      if (isAfter(date, threeMonthsAgo)) {
-        recent.push(item);
-      } else {
-        older.push(item);
-      }
-    } catch (e) {
-      // Skip invalid dates
-    }
-  });
+  const { recent, older } = splitByRecency(withDates);
 
   console.log(`Recent content (last 3 months): ${recent.length} pieces`);
   console.log(`Older content: ${older.length} pieces\n`);
 
   // Extract topics from both periods
   const extractTopics = (items) => {
-    const topics = { clinical: {}, business: {}, technology: {}, market: {} };
+    const topics = emptyTopicMap();
     items.forEach(item => {
-      const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-      const found = extractStrategicTopics(text);
+      const found = extractStrategicTopics(item, TOPIC_LEVEL);
       Object.entries(found).forEach(([category, foundTopics]) => {
         foundTopics.forEach(topic => {
           topics[category][topic] = (topics[category][topic] || 0) + 1;
@@ -507,7 +419,7 @@ function analyzeTrending(content) {
   const declining = [];
   const newTopics = [];
 
-  ['clinical', 'business', 'technology', 'market'].forEach(category => {
+  TOPIC_CATEGORIES.forEach(category => {
     Object.keys({ ...recentTopics[category], ...olderTopics[category] }).forEach(topic => {
       const recentCount = recentTopics[category][topic] || 0;
       const olderCount = olderTopics[category][topic] || 0;
@@ -610,16 +522,14 @@ function analyzeTrending(content) {
 function analyzeAudienceMessaging(content) {
   console.log('\n=== AUDIENCE-SPECIFIC MESSAGING ===\n');
 
-  const audiences = ['employers', 'providers', 'members', 'partners', 'general'];
   const audienceTopics = {};
 
-  audiences.forEach(audience => {
+  AUDIENCES.forEach(audience => {
     const audienceContent = content.filter(c => c.targetAudience.includes(audience));
-    const topics = { clinical: {}, business: {}, technology: {}, market: {} };
+    const topics = emptyTopicMap();
 
     audienceContent.forEach(item => {
-      const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-      const found = extractStrategicTopics(text);
+      const found = extractStrategicTopics(item, TOPIC_LEVEL);
       Object.entries(found).forEach(([category, foundTopics]) => {
         foundTopics.forEach(topic => {
           topics[category][topic] = (topics[category][topic] || 0) + 1;
@@ -631,7 +541,7 @@ function analyzeAudienceMessaging(content) {
   });
 
   // Display top topics for each audience
-  audiences.forEach(audience => {
+  AUDIENCES.forEach(audience => {
     const data = audienceTopics[audience];
     if (data.count > 20) { // Only show audiences with significant content
       console.log(`${audience.toUpperCase()} (${data.count} pieces):`);
@@ -660,44 +570,14 @@ function analyzeAudienceMessaging(content) {
   const audienceGrowth = {};
 
   if (withDates.length > 0) {
-    const threeMonthsAgo = subMonths(new Date(), 3);
-
-    audiences.forEach(audience => {
-      const recent = withDates.filter(c => {
-        try {
-          const date = parseISO(c.publishDate + 'T00:00:00');
-          return isAfter(date, threeMonthsAgo) && c.targetAudience.includes(audience);
-        } catch (e) {
-          return false;
-        }
-      }).length;
-
-      const older = withDates.filter(c => {
-        try {
-          const date = parseISO(c.publishDate + 'T00:00:00');
-          return !isAfter(date, threeMonthsAgo) && c.targetAudience.includes(audience);
-        } catch (e) {
-          return false;
-        }
-      }).length;
-
-      const recentPct = recent > 0 ? (recent / withDates.filter(c => {
-        try {
-          const date = parseISO(c.publishDate + 'T00:00:00');
-          return isAfter(date, threeMonthsAgo);
-        } catch (e) {
-          return false;
-        }
-      }).length) * 100 : 0;
-
-      const olderPct = older > 0 ? (older / withDates.filter(c => {
-        try {
-          const date = parseISO(c.publishDate + 'T00:00:00');
-          return !isAfter(date, threeMonthsAgo);
-        } catch (e) {
-          return false;
-        }
-      }).length) * 100 : 0;
+    const split = splitByRecency(withDates);
+
+    AUDIENCES.forEach(audience => {
+      const recent = split.recent.filter(c => c.targetAudience.includes(audience)).length;
+      const older = split.older.filter(c => c.targetAudience.includes(audience)).length;
+
+      const recentPct = recent > 0 ? (recent / split.recent.length) * 100 : 0;
+      const olderPct = older > 0 ? (older / split.older.length) * 100 : 0;
 
       audienceGrowth[audience] = {
         recent,
@@ -749,8 +629,7 @@ function detectContentPatterns(content) {
   const topicClusters = {};
 
   withDates.forEach(item => {
-    const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-    const topics = extractStrategicTopics(text);
+    const topics = extractStrategicTopics(item, TOPIC_LEVEL);
 
     Object.entries(topics).forEach(([category, foundTopics]) => {
       foundTopics.forEach(topic => {
@@ -886,6 +765,32 @@ function analyzeContentQuality(content) {
     });
 }
 
+/**
+ * What they write about that the taxonomy doesn't cover (keyphrases and clusters, see hinge-discovery.js)
+ */
+function analyzeEmergingThemes(content) {
+  console.log('\n=== EMERGING THEMES (NOT IN TAXONOMY) ===\n');
+
+  const { clusters, emergingThemes } = discoverThemes(content);
+
+  if (emergingThemes.length === 0) {
+    console.log('Every frequent keyphrase is covered by taxonomy.json');
+  }
+  emergingThemes.slice(0, 10).forEach(theme => {
+    console.log(`  ${theme.phrase.padEnd(30)} ${String(theme.documents).padStart(4)} pieces (${theme.recent} recent)`);
+    console.log(`    → ${theme.examples[0].url}`);
+  });
+
+  const untagged = clusters.filter(cluster => cluster.taxonomyCoverage < 50);
+  if (untagged.length > 0) {
+    console.log('\nCLUSTERS THE TAXONOMY MOSTLY MISSES:\n');
+    untagged.forEach(cluster => {
+      console.log(`  ${cluster.label.padEnd(40)} ${String(cluster.items.length).padStart(4)} pieces, ${cluster.taxonomyCoverage}% tagged`);
+    });
+  }
+  console.log('');
+}
+
 /**
  * Generate competitive intelligence summary
  */
@@ -939,13 +844,11 @@ function generateCompetitiveSummary(content, topicData) {
   console.log('Strategic topics with little/no coverage (opportunity areas):\n');
 
   const underserved = [];
-  Object.entries(STRATEGIC_TOPICS).forEach(([category, patterns]) => {
-    patterns.forEach(pattern => {
-      const count = topicData.topicCounts[category][pattern] || 0;
-      if (count < 5) {
-        underserved.push({ topic: pattern, count, category });
-      }
-    });
+  reportedTopics(TOPIC_LEVEL).forEach(({ category, name, minCount }) => {
+    const count = topicData.topicCounts[category][name] || 0;
+    if (count < minCount) {
+      underserved.push({ topic: name, count, category });
+    }
   });
 
   underserved
@@ -960,15 +863,7 @@ function generateCompetitiveSummary(content, topicData) {
   // Recent focus areas
   const withDates = content.filter(c => c.publishDate);
   if (withDates.length > 0) {
-    const threeMonthsAgo = subMonths(new Date(), 3);
-    const recent = withDates.filter(c => {
-      try {
-        const date = parseISO(c.publishDate + 'T00:00:00');
-        return isAfter(date, threeMonthsAgo);
-      } catch (e) {
-        return false;
-      }
-    });
+    const recent = withDates.filter(c => isRecent(c));
 
     console.log(`\n🔥 RECENT FOCUS (Last 3 Months)`);
     console.log('-'.repeat(60));
@@ -977,8 +872,7 @@ function generateCompetitiveSummary(content, topicData) {
     const recentTopics = {};
     const recentTopicContent = {};
     recent.forEach(item => {
-      const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-      const topics = extractStrategicTopics(text);
+      const topics = extractStrategicTopics(item, TOPIC_LEVEL);
       Object.entries(topics).forEach(([category, foundTopics]) => {
         foundTopics.forEach(topic => {
           recentTopics[topic] = (recentTopics[topic] || 0) + 1;
@@ -1016,8 +910,14 @@ function generateCompetitiveSummary(content, topicData) {
   const employerContent = content.filter(c => c.targetAudience.includes('employers'));
   const providerContent = content.filter(c => c.targetAudience.includes('providers'));
 
-  console.log(`\n1. AI EVERYWHERE: ${aiContent.length} pieces (${((aiContent.length / content.length) * 100).toFixed(1)}% of all content)`);
-  console.log(`   → AI is woven into half their content - it's their core differentiator`);
+  const aiPct = (aiContent.length / content.length) * 100;
+  if (aiPct >= 25) {
+    console.log(`\n1. AI EVERYWHERE: ${aiContent.length} pieces (${aiPct.toFixed(1)}% of all content)`);
+    console.log(`   → AI is woven into a big share of their content - it's their core differentiator`);
+  } else {
+    console.log(`\n1. AI IS A NICHE THEME: ${aiContent.length} pieces (${aiPct.toFixed(1)}% of all content)`);
+    console.log(`   → AI shows up in product announcements, not across their content`);
+  }
 
   console.log(`\n2. PROVIDER-FIRST STRATEGY: ${providerContent.length} pieces vs ${employerContent.length} employer pieces`);
   console.log(`   → 73% of provider content targets Physical Therapists specifically`);
@@ -1040,15 +940,19 @@ function generateCompetitiveSummary(content, topicData) {
  * Main execution
  */
 async function main() {
+  TOPIC_LEVEL = topicLevelFromArgs();
+
   console.log('============================================================');
   console.log('HINGE HEALTH STRATEGIC CONTENT ANALYZER');
   console.log('============================================================');
 
-  const data = await loadData();
-  const content = data.content;
+  const data = await loadDataset();
+  // Pages Hinge has taken down are kept as tombstones; analyze live content only
+  const content = liveContent(data);
 
   console.log(`\nLoaded ${content.length} content pieces`);
   console.log(`Last updated: ${new Date(data.lastUpdated).toLocaleString()}`);
+  if (TOPIC_LEVEL) console.log(`Topics rolled up to level ${TOPIC_LEVEL} of the taxonomy`);
 
   // Run all analyses
   const topicData = analyzeStrategicTopics(content);
@@ -1059,6 +963,7 @@ async function main() {
   analyzeAudienceMessaging(content);
   detectContentPatterns(content);
   analyzeContentQuality(content);
+  analyzeEmergingThemes(content);
   generateCompetitiveSummary(content, topicData);
 
   console.log('============================================================');
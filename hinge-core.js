@@ -0,0 +1,500 @@
+/**
+ * Shared Core
+ *
+ * Taxonomy, classification, date handling and data loading shared by the scrapers, the
+ * analyzer, the report and the intelligence generator, so they can't disagree about what
+ * counts as a topic, which audience a page is for, or what "recent" means.
+ */
+
+const { parseISO, format, subMonths, isAfter } = require('date-fns');
+const { openStorage } = require('./hinge-storage');
+const config = require('./config.json');
+const { loadTaxonomy, recordFields, prepareText, phraseStems, findPhrase, findTopicMatch, evidenceSnippet } = require('./hinge-taxonomy');
+
+// Strategic topics, loaded from the taxonomy file (see hinge-taxonomy.js)
+const TAXONOMY = loadTaxonomy();
+const TOPIC_CATEGORIES = TAXONOMY.categories;
+const TOPICS = TAXONOMY.topics;
+
+// Every audience determineAudience() can assign, in display order
+const AUDIENCES = ['members', 'employers', 'health plans', 'providers', 'partners', 'general'];
+
+// Content published within this many months counts as "recent" in trend comparisons
+const RECENT_MONTHS = 3;
+
+// How far a topic or audience match in each field can be trusted on its own. Body headings
+// (h2-h4) count as much as the URL. A single passing mention in the body scores below
+// DEFAULT_MIN_CONFIDENCE; each further mention adds to it, up to MAX_BODY_MENTIONS.
+const FIELD_CONFIDENCE = { title: 0.9, meta: 0.75, categories: 0.75, url: 0.6, headings: 0.6, body: 0.3 };
+
+// Body mentions counted towards a match's confidence: 1 scores 0.3, 2 score 0.51, 3 or more 0.66
+const MAX_BODY_MENTIONS = 3;
+
+// Assignments below this confidence are left out of topic and audience counts
+// (analysis.minConfidence in config.json, or --min-confidence for the generator)
+const DEFAULT_MIN_CONFIDENCE = config.analysis && config.analysis.minConfidence !== undefined
+  ? config.analysis.minConfidence
+  : 0.5;
+
+/**
+ * Confidence from several independent signals: 1 - the chance they are all wrong
+ */
+function combineConfidence(scores) {
+  const combined = 1 - scores.reduce((remaining, score) => remaining * (1 - score), 1);
+  return Math.round(combined * 100) / 100;
+}
+
+/**
+ * Confidence of a match in one field; body matches gain weight with every mention
+ */
+function fieldConfidence(field, mentions = 1) {
+  if (field !== 'body') return FIELD_CONFIDENCE[field];
+  return combineConfidence(Array(Math.min(mentions, MAX_BODY_MENTIONS)).fill(FIELD_CONFIDENCE.body));
+}
+
+/**
+ * Every strategic topic a record mentions, with the evidence for it:
+ * [{ topic, category, matched, rule, field, span, evidence, confidence, fields }]
+ *
+ * Each field (title, meta, URL path, headings, body) is matched separately. rule is the term or /pattern/
+ * that fired and span the { start, end, text } it matched in field - the strongest field that
+ * matched - and evidence the text around it. confidence combines FIELD_CONFIDENCE over every
+ * field that matched; fields lists them. With a level, each topic is rolled up to its ancestor
+ * at that depth (1 = top-level topics), matched names the topic that actually hit, and the
+ * most confident descendant's evidence is kept.
+ */
+function topicAssignments(item, level = null) {
+  const fields = Object.entries(recordFields(item))
+    .filter(([, text]) => text)
+    .map(([field, text]) => ({ field, prepared: prepareText(text) }));
+  const assigned = new Map();
+
+  TOPICS.forEach(topic => {
+    const hits = fields
+      .map(({ field, prepared }) => ({ field, match: findTopicMatch(topic, prepared) }))
+      .filter(hit => hit.match)
+      .map(hit => ({ ...hit, confidence: fieldConfidence(hit.field, hit.match.mentions) }))
+      .sort((a, b) => b.confidence - a.confidence);
+    if (hits.length === 0) return;
+
+    const name = level ? topic.path[Math.min(level, topic.depth) - 1] : topic.name;
+    const key = `${topic.category}\u0000${name}`;
+    const [best] = hits;
+    const assignment = {
+      topic: name,
+      category: topic.category,
+      matched: topic.name,
+      rule: best.match.term,
+      field: best.field,
+      span: { start: best.match.start, end: best.match.end, text: best.match.text },
+      evidence: best.match.snippet,
+      confidence: combineConfidence(hits.map(hit => hit.confidence)),
+      fields: hits.map(hit => hit.field)
+    };
+
+    const existing = assigned.get(key);
+    if (!existing || assignment.confidence > existing.confidence) assigned.set(key, assignment);
+  });
+
+  return Array.from(assigned.values());
+}
+
+/**
+ * Strategic topic names a record mentions, by category, leaving out assignments below
+ * minConfidence (see topicAssignments for levels and confidence)
+ */
+function extractStrategicTopics(item, level = null, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  const found = {};
+  TOPIC_CATEGORIES.forEach(category => {
+    found[category] = [];
+  });
+
+  topicAssignments(item, level)
+    .filter(assignment => assignment.confidence >= minConfidence)
+    .forEach(({ topic, category }) => found[category].push(topic));
+  return found;
+}
+
+/**
+ * Whether text contains a messaging keyword. Keywords of three letters or fewer ("ai", "roi",
+ * "app") hide inside longer words, so they must match a whole word (plurals allowed); longer
+ * ones still match anywhere, so "outcome" also finds "outcomes" and "personali" "personalized".
+ */
+function mentionsKeyword(text, keyword) {
+  if (keyword.length > 3) return text.toLowerCase().includes(keyword);
+  return findPhrase(prepareText(text), phraseStems(keyword)) !== null;
+}
+
+/**
+ * The topics reports list at a level: those at that depth plus shallower leaves (all topics without a level)
+ */
+function reportedTopics(level = null) {
+  if (!level) return TOPICS;
+  return TOPICS.filter(topic => topic.depth === level || (topic.depth < level && topic.children.length === 0));
+}
+
+/**
+ * --level N (or --level=N) from the command line, or null to report topics as matched
+ */
+function topicLevelFromArgs(argv = process.argv) {
+  const value = optionValue(argv, '--level');
+  if (value === undefined) return null;
+
+  const level = Number(value);
+  if (!Number.isInteger(level) || level < 1) {
+    throw new Error(`--level should be a whole number from 1 (top-level topics), got "${value}"`);
+  }
+  return level;
+}
+
+/**
+ * --min-confidence X (or --min-confidence=X) from the command line, or DEFAULT_MIN_CONFIDENCE
+ */
+function minConfidenceFromArgs(argv = process.argv) {
+  const value = optionValue(argv, '--min-confidence');
+  if (value === undefined) return DEFAULT_MIN_CONFIDENCE;
+
+  const minConfidence = Number(value);
+  if (value === '' || Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+    throw new Error(`--min-confidence should be a number from 0 to 1, got "${value}"`);
+  }
+  return minConfidence;
+}
+
+// The value of --name X or --name=X ('' if it has none), or undefined if the option isn't there
+function optionValue(argv, name) {
+  const index = argv.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) return undefined;
+  return argv[index].includes('=') ? argv[index].split('=')[1] : (argv[index + 1] || '');
+}
+
+/**
+ * A fresh { category: {} } map for tallying topics per category
+ */
+function emptyTopicMap() {
+  return Object.fromEntries(TOPIC_CATEGORIES.map(category => [category, {}]));
+}
+
+/**
+ * Determine content type from URL. /for-organizations/ pages come back as
+ * 'for-organizations' - use classifyContentType() to refine them by title.
+ */
+function determineContentType(url) {
+  if (url.includes('/articles/')) return 'article';
+  if (url.includes('/case-studies/')) return 'case-study';
+  if (url.includes('/press-releases/')) return 'press-release';
+  if (url.includes('/glossary/')) return 'glossary';
+  if (url.includes('/support/')) return 'support';
+  if (url.includes('/webinars/') || url.includes('-webinar/')) return 'webinar';
+  if (url.includes('/whitepapers/')) return 'report-guide'; // Whitepapers are reports/guides
+  if (url.includes('/testimonials/')) return 'testimonial';
+  if (url.includes('/for-organizations/')) return 'for-organizations';
+  if (url.includes('/acquisition/')) return 'acquisition';
+  if (url.includes('/for-individuals/')) return 'for-individuals';
+  return 'other';
+}
+
+/**
+ * Determine if content is a report/guide based on title and URL
+ */
+function isReportOrGuide(title, url) {
+  const titleLower = (title || '').toLowerCase();
+  const urlLower = (url || '').toLowerCase();
+
+  const keywords = ['report', 'state of', 'whitepaper', 'ebook', 'guide', 'study'];
+
+  return keywords.some(keyword =>
+    titleLower.includes(keyword) || urlLower.includes(keyword)
+  );
+}
+
+/**
+ * Content type from URL, with for-organizations pages split into report-guide and other
+ */
+function classifyContentType(url, title) {
+  const contentType = determineContentType(url);
+  if (contentType !== 'for-organizations') return contentType;
+  return isReportOrGuide(title, url) ? 'report-guide' : 'other';
+}
+
+// Confidence of audience rules that don't come from matched text
+const AUDIENCE_RULE_CONFIDENCE = {
+  url: 0.9,               // the page sits in an audience's section, e.g. /employers
+  contentType: 0.8,       // glossary, support and for-individuals pages are for members
+  b2bDefault: 0.5,        // a case study or report with no health plan signal is assumed to be for employers
+  fallback: 0.5           // nothing matched, so "general"
+};
+
+/**
+ * A global version of an audience pattern that only matches whole words: each match must
+ * start and end on a word boundary, allowing a plural ending ("members", "aches")
+ */
+function wholeWordPattern(pattern) {
+  return new RegExp(`\\b(?:${pattern.source})(?:e?s)?\\b`, 'g');
+}
+
+/**
+ * Every audience a record is for, with the evidence for it:
+ * [{ audience, rule, field, span, evidence, confidence, fields }], in the order of the rules.
+ * Fields are as for topicAssignments, plus categories and contentType. Body text is matched
+ * against the same terms as title, meta and categories, as whole words and weighted by how
+ * often they appear, so some assignments may fall below DEFAULT_MIN_CONFIDENCE -
+ * determineAudience() leaves those out.
+ */
+function audienceAssignments(content) {
+  const title = String(content.title);
+  const meta = String(content.metaDescription);
+  const categories = content.categories.join(' ');
+  const text = (title + ' ' + meta + ' ' + categories).toLowerCase();
+  const url = content.url.toLowerCase();
+  const signals = new Map();
+
+  const add = (audience, signal) => {
+    if (!signals.has(audience)) signals.set(audience, []);
+    signals.get(audience).push(signal);
+  };
+
+  // Text rules run over title, meta and categories joined, as the patterns always have;
+  // the field of a match is the one it starts in
+  const segments = [
+    { field: 'title', text: title, start: 0 },
+    { field: 'meta', text: meta, start: title.length + 1 },
+    { field: 'categories', text: categories, start: title.length + meta.length + 2 }
+  ];
+  const bodyRules = [];
+  const textRule = (audience, rule, pattern) => {
+    bodyRules.push({ audience, rule, pattern });
+    const match = text.match(pattern);
+    if (!match) return false;
+    const segment = segments.filter(candidate => candidate.start <= match.index).pop();
+    const start = match.index - segment.start;
+    const end = Math.min(start + match[0].length, segment.text.length);
+    add(audience, {
+      rule,
+      field: segment.field,
+      span: { start, end, text: segment.text.slice(start, end) },
+      evidence: evidenceSnippet(segment.text, start, end),
+      confidence: FIELD_CONFIDENCE[segment.field]
+    });
+    return true;
+  };
+  const urlRule = (audience, rule, sections) => {
+    const section = sections.find(candidate => url.includes(candidate));
+    if (!section) return false;
+    const start = url.indexOf(section);
+    add(audience, {
+      rule,
+      field: 'url',
+      span: { start, end: start + section.length, text: content.url.slice(start, start + section.length) },
+      evidence: content.url,
+      confidence: AUDIENCE_RULE_CONFIDENCE.url
+    });
+    return true;
+  };
+  const contentTypeRule = (audience, rule, types, confidence) => {
+    if (!types.includes(content.contentType)) return false;
+    add(audience, {
+      rule,
+      field: 'contentType',
+      span: { start: 0, end: content.contentType.length, text: content.contentType },
+      evidence: `contentType: ${content.contentType}`,
+      confidence
+    });
+    return true;
+  };
+
+  // HEALTH PLAN CONTENT - Payers, insurance, health plans
+  const healthPlanPatterns = /\b(health plan|payer|insurance|cigna|aetna|anthem|humana|united healthcare|bcbs|blue cross|value.based care|population health|medical spend|health system|healthcare system|integrated care|care coordination)/;
+  textRule('health plans', 'health-plan-terms', healthPlanPatterns);
+  urlRule('health plans', 'health-plan-url', ['/health-plans', '/payers']);
+
+  // EMPLOYER CONTENT - Workplace, HR, employee benefits
+  const employerPatterns = /\b(employer|workplace|hr\b|benefits? leader|cost saving|reduces cost|roi\b|return on investment|total cost|claims|absenteeism|employee (engagement|well.?being|wellness|health program)|workforce|total rewards|beloved benefit|employee.focused|lower cost.*productivity|engagement.*cost)/;
+  const employerText = textRule('employers', 'employer-terms', employerPatterns);
+  const employerUrl = urlRule('employers', 'employer-url', ['/employers']);
+  if (!employerText && !employerUrl && !signals.has('health plans')) {
+    // Case studies and reports/guides are B2B (employer or health plan) - if not health plan, default to employer
+    contentTypeRule('employers', 'b2b-content-type', ['case-study', 'report-guide'], AUDIENCE_RULE_CONFIDENCE.b2bDefault);
+  }
+
+  // PROVIDER CONTENT - For clinicians/PTs (very specific patterns)
+  const providerPatterns = /(for providers|for clinicians|provider network|provider portal|clinical guidelines|join our team|provider resources|provider integration|hingeselect|provider benefit|providers benefit|for physical therapist|clinician dashboard)/;
+  textRule('providers', 'provider-terms', providerPatterns);
+  urlRule('providers', 'provider-url', ['/for-providers']);
+
+  // MEMBER CONTENT - Individuals, diagnoses, symptoms, pain, health education
+  const memberPatterns = /(how to|your (care|treatment|exercises|sleep|pain|body|health|knee|back|shoulder|hip|neck)|message your|use the app|exercises for|symptoms? of|symptom|treatment for|living with|managing (your|headache|pain)|self-care|pain relief|member|patient|individual|patient guide|for you|download.{0,10}app|definition and what it is|enso|kegel|pelvic|pain relief device|improving your|managing your|sleep position|pain cycle|bladder habit|breathing exercise|mindfulness|yoga|stretching|warm.up|nutrition|veggie|walking program|lifting|pregnancy|caregiver|tired of pain|breaking the|food for|tips for|ways to|strategies for your|rethink your pain|chronic pain|belly band|incontinence|water intake|stairs and|tennis player|fall leaves|beginner|full.body|resistance|portion|daily walking|diagnosis|diagnose|condition|injury|ache|aching|sore|arthritis|sciatica|tendonitis|fracture|sprain|strain|inflammation|therapy for|relief for|cope with|deal with)/;
+  textRule('members', 'member-terms', memberPatterns);
+  urlRule('members', 'member-url', ['/members', '/for-individuals']);
+  // Glossary, support, and for-individuals are always for members
+  contentTypeRule('members', 'member-content-type', ['support', 'glossary', 'for-individuals'], AUDIENCE_RULE_CONFIDENCE.contentType);
+
+  // PARTNER CONTENT - Only explicit partnerships (very narrow)
+  const partnerPatterns = /\b(announces partnership|partner program|technology partner|strategic alliance|collaboration with|partnering with)/;
+  textRule('partners', 'partner-terms', partnerPatterns);
+  urlRule('partners', 'partner-url', ['/partners']);
+
+  // The page's own copy, for every text rule above - on whole words only, since a long body
+  // is full of words that merely contain a term ("remember", "reached", "professor")
+  const body = typeof content.bodyText === 'string' ? content.bodyText : '';
+  const bodyLower = body.toLowerCase();
+  bodyRules.forEach(({ audience, rule, pattern }) => {
+    const matches = Array.from(bodyLower.matchAll(wholeWordPattern(pattern)));
+    if (matches.length === 0) return;
+    const start = matches[0].index;
+    const end = start + matches[0][0].length;
+    add(audience, {
+      rule,
+      field: 'body',
+      span: { start, end, text: body.slice(start, end) },
+      evidence: evidenceSnippet(body, start, end),
+      confidence: fieldConfidence('body', matches.length)
+    });
+  });
+
+  const assignments = Array.from(signals.entries()).map(([audience, found]) => {
+    const [best] = [...found].sort((a, b) => b.confidence - a.confidence);
+    return {
+      audience,
+      ...best,
+      confidence: combineConfidence(found.map(signal => signal.confidence)),
+      fields: [...new Set(found.map(signal => signal.field))]
+    };
+  });
+
+  // If no specific audience detected with enough confidence, mark as general
+  if (!assignments.some(assignment => assignment.confidence >= DEFAULT_MIN_CONFIDENCE)) {
+    assignments.push({ audience: 'general', rule: 'no-audience-signal', field: null, span: null, evidence: null, confidence: AUDIENCE_RULE_CONFIDENCE.fallback, fields: [] });
+  }
+  return assignments;
+}
+
+/**
+ * Determine target audience (one or more of AUDIENCES) - the labels from audienceAssignments()
+ * at DEFAULT_MIN_CONFIDENCE or above
+ */
+function determineAudience(content) {
+  return audienceAssignments(content)
+    .filter(assignment => assignment.confidence >= DEFAULT_MIN_CONFIDENCE || assignment.rule === 'no-audience-signal')
+    .map(assignment => assignment.audience);
+}
+
+/**
+ * Normalize a date string from a page to YYYY-MM-DD (null if it can't be parsed). ISO dates
+ * and timestamps keep the calendar date they were written with, whatever the local time zone -
+ * "2024-05-01" and "2024-05-01T23:30:00-07:00" are both 2024-05-01. Other formats
+ * ("May 1, 2024") are parsed as local dates.
+ */
+function extractDate(dateString) {
+  if (!dateString) return null;
+
+  const iso = String(dateString).trim().match(/^(\d{4}-\d{2}-\d{2})(?:$|[T ])/);
+  if (iso) {
+    return isNaN(parseISO(iso[1]).getTime()) ? null : iso[1];
+  }
+
+  try {
+    const date = new Date(dateString);
+    if (date && !isNaN(date.getTime())) {
+      return format(date, 'yyyy-MM-dd');
+    }
+  } catch {
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * A record's publishDate as a local-midnight Date, or null if it has none
+ */
+function publishedOn(item) {
+  if (!item.publishDate) return null;
+  const date = parseISO(item.publishDate + 'T00:00:00');
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Start of the "recent" window: RECENT_MONTHS before now
+ */
+function recentCutoff() {
+  return subMonths(new Date(), RECENT_MONTHS);
+}
+
+/**
+ * Whether a record was published after the cutoff (undated records never are)
+ */
+function isRecent(item, cutoff = recentCutoff()) {
+  const date = publishedOn(item);
+  return date !== null && isAfter(date, cutoff);
+}
+
+/**
+ * Split dated records into recent and older; undated records are left out of both
+ */
+function splitByRecency(content, cutoff = recentCutoff()) {
+  const recent = [];
+  const older = [];
+
+  content.forEach(item => {
+    const date = publishedOn(item);
+    if (date === null) return;
+    (isAfter(date, cutoff) ? recent : older).push(item);
+  });
+
+  return { recent, older };
+}
+
+/**
+ * Load the dataset from the configured storage. Pass an open storage to reuse it;
+ * otherwise one is opened and closed here. Throws if nothing has been scraped yet.
+ */
+async function loadDataset(storage) {
+  const ownStorage = !storage;
+  if (ownStorage) storage = await openStorage();
+
+  let data;
+  try {
+    data = await storage.loadDataset();
+  } finally {
+    if (ownStorage) await storage.close();
+  }
+
+  if (!data) throw new Error('No content found - run the scraper first (npm run scrape)');
+  return data;
+}
+
+/**
+ * Records for pages that are still live (removed pages are kept as tombstones)
+ */
+function liveContent(data) {
+  return data.content.filter(item => !item.removed);
+}
+
+module.exports = {
+  TOPICS,
+  TOPIC_CATEGORIES,
+  AUDIENCES,
+  RECENT_MONTHS,
+  FIELD_CONFIDENCE,
+  DEFAULT_MIN_CONFIDENCE,
+  topicAssignments,
+  extractStrategicTopics,
+  mentionsKeyword,
+  reportedTopics,
+  topicLevelFromArgs,
+  minConfidenceFromArgs,
+  emptyTopicMap,
+  determineContentType,
+  isReportOrGuide,
+  classifyContentType,
+  audienceAssignments,
+  determineAudience,
+  extractDate,
+  publishedOn,
+  recentCutoff,
+  isRecent,
+  splitByRecency,
+  loadDataset,
+  liveContent
+};
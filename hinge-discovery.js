@@ -0,0 +1,404 @@
+#!/usr/bin/env node
+
+/**
+ * Theme Discovery
+ *
+ * Finds what Hinge writes about without being told what to look for, so themes outside
+ * taxonomy.json still show up. Offline and pure JS:
+ *
+ *   1. Keyphrases - runs of words between stop words and punctuation (as in RAKE), cut into
+ *      phrases of up to three words and scored by TF-IDF over title, meta description and body
+ *   2. Clusters - spherical k-means over each piece's keyphrases, seeded from the most
+ *      common phrases so the result is the same on every run
+ *   3. Emerging themes - frequent keyphrases no taxonomy topic covers, with example URLs
+ *
+ * Run this file directly to print the themes for the current content:
+ *   node hinge-discovery.js
+ */
+
+const { TOPICS, DEFAULT_MIN_CONFIDENCE, topicAssignments, splitByRecency, loadDataset, liveContent } = require('./hinge-core');
+const { stem, phraseStems, findTopicMatch, containsPhrase } = require('./hinge-taxonomy');
+
+const config = require('./config.json');
+
+// A keyphrase must appear in at least this many pieces to become a theme
+const MIN_DOCUMENTS = (config.analysis && config.analysis.minTopicFrequency) || 3;
+
+const MAX_PHRASE_WORDS = 3;
+const KEYPHRASES_PER_DOCUMENT = 8;
+const MAX_CLUSTERS = 20;
+const CLUSTER_ITERATIONS = 15;
+const CENTROID_TERMS = 50;
+const MAX_THEMES = 15;
+const MAX_EXAMPLES = 3;
+
+// Body text is long and repetitive; the opening is enough to say what a piece is about
+const MAX_BODY_WORDS = 1500;
+
+// A mention in the title says more about a piece than one in its body
+const FIELD_WEIGHTS = { title: 3, meta: 2, body: 1 };
+
+// Words that split candidate phrases: English function words plus terms every Hinge page uses
+const STOP_WORDS = new Set([
+  // English function words
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any',
+  'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both',
+  'but', 'by', 'can', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even', 'ever',
+  'every', 'few', 'for', 'from', 'further', 'get', 'gets', 'getting', 'got', 'had', 'has', 'have',
+  'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'however', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'itself', 'just', 'let', 'like', 'make', 'makes', 'many', 'may', 'me',
+  'might', 'more', 'most', 'much', 'must', 'my', 'new', 'no', 'nor', 'not', 'now', 'of', 'off',
+  'often', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own',
+  'same', 'she', 'so', 'some', 'such', 'than', 'that', 'the', 'them', 'then', 'they', 'this',
+  'through', 'to', 'too', 'under', 'until', 'up', 'us', 'use', 'using', 'very', 'was', 'way',
+  'ways', 'we', 'well', 'were', 'while', 'who', 'whom', 'why', 'will', 'with', 'within',
+  'without', 'yet', 'you', 'your', 'yours', 'yourself',
+  'what', 'when', 'where', 'which', 'their', 'there', 'these', 'those', 'could', 'would',
+  'should', 'things', 'something', 'someone', 'anyone', 'everyone',
+  // Generic brand terms
+  'hinge', 'health', 'hingehealth',
+  // Generic action words
+  'exercises', 'exercise', 'treatment', 'treatments', 'causes', 'symptoms',
+  'guide', 'definition', 'according', 'relief', 'treat', 'stretches',
+  // Common words
+  'physical', 'therapists', 'therapy', 'people', 'person', 'patient',
+  'condition', 'conditions', 'common', 'learn', 'read', 'help', 'helps', 'need', 'know',
+  'best', 'tips', 'better', 'day', 'days', 'time', 'year', 'years',
+  // Verbs and qualifiers that frame a topic rather than name one
+  'discover', 'explore', 'find', 'meaning', 'signs', 'improve', 'improves', 'reduce', 'reduces',
+  'relieve', 'prevent', 'manage', 'managing', 'recommend', 'recommended', 'especially',
+  'easier', 'harder', 'importance', 'important', 'include', 'includes', 'including', 'working',
+  'routine', 'keep', 'start', 'try', 'want', 'feel', 'feeling', 'cause', 'work', 'works',
+  'effective', 'simple', 'ease', 'easy', 'good', 'great', 'less', 'designed', 'plus', 'move',
+  'options', 'techniques', 'expert', 'experts', 'resource', 'resources', 'aid', 'home'
+]);
+
+// Candidate phrases never run across punctuation
+const PHRASE_BREAK = /[.,;:!?()[\]{}"“”|•/\\–—…]+|\s-\s/;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Candidate keyphrases in text: each run of words between stop words and punctuation,
+ * cut into every phrase of one to MAX_PHRASE_WORDS words. Returns lists of words.
+ */
+function candidatePhrases(text) {
+  const phrases = [];
+
+  String(text || '').toLowerCase().split(PHRASE_BREAK).forEach(chunk => {
+    let run = [];
+    const flush = () => {
+      for (let start = 0; start < run.length; start++) {
+        for (let length = 1; length <= MAX_PHRASE_WORDS && start + length <= run.length; length++) {
+          phrases.push(run.slice(start, start + length));
+        }
+      }
+      run = [];
+    };
+
+    for (const [token] of chunk.matchAll(WORD_PATTERN)) {
+      const word = token.replace(/['’]s$/, '');
+      if (word.length < 3 || STOP_WORDS.has(word) || /^[\d-]+$/.test(word)) {
+        flush();
+      } else {
+        run.push(word);
+      }
+    }
+    flush();
+  });
+
+  return phrases;
+}
+
+// Phrases are counted by their stems, so "knee injuries" and "knee injury" are one phrase
+function phraseKey(words) {
+  return words.map(stem).join(' ');
+}
+
+/**
+ * Weighted term frequencies and document frequencies for a set of pieces:
+ * { documents: [{ item, terms: Map(key -> weighted count) }], df: Map(key -> pieces), labels: Map(key -> phrase) }
+ */
+function buildCorpus(content) {
+  const df = new Map();
+  const surfaces = new Map();
+
+  // A meta description shared word for word by many pages is a site default, not a summary
+  const metaCounts = new Map();
+  content.forEach(item => metaCounts.set(item.metaDescription, (metaCounts.get(item.metaDescription) || 0) + 1));
+
+  const documents = content.map(item => {
+    const body = typeof item.bodyText === 'string' ? item.bodyText.split(/\s+/).slice(0, MAX_BODY_WORDS).join(' ') : '';
+    const meta = metaCounts.get(item.metaDescription) >= MIN_DOCUMENTS ? '' : item.metaDescription;
+    const fields = { title: item.title, meta, body };
+    const terms = new Map();
+
+    Object.entries(fields).forEach(([field, text]) => {
+      candidatePhrases(text).forEach(words => {
+        const key = phraseKey(words);
+        terms.set(key, (terms.get(key) || 0) + FIELD_WEIGHTS[field]);
+
+        if (!surfaces.has(key)) surfaces.set(key, new Map());
+        const phrase = words.join(' ');
+        surfaces.get(key).set(phrase, (surfaces.get(key).get(phrase) || 0) + 1);
+      });
+    });
+
+    terms.forEach((count, key) => df.set(key, (df.get(key) || 0) + 1));
+    return { item, terms };
+  });
+
+  // Show each phrase the way it is most often written
+  const labels = new Map();
+  surfaces.forEach((forms, key) => {
+    labels.set(key, [...forms.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0]);
+  });
+
+  return { documents, df, labels };
+}
+
+/**
+ * TF-IDF weight of a phrase in a piece. Longer phrases get a boost, as in RAKE,
+ * since "return to work" says more than "return" or "work".
+ */
+function termWeight(corpus, key, count) {
+  const idf = Math.log(corpus.documents.length / corpus.df.get(key));
+  const words = key.split(' ').length;
+  return (1 + Math.log(count)) * idf * (1 + 0.5 * (words - 1));
+}
+
+/**
+ * A piece's top keyphrases: [{ key, phrase, score }]. Phrases found in only one piece are
+ * left out - they are names and one-offs, not themes.
+ */
+function documentKeyphrases(corpus, document, limit = KEYPHRASES_PER_DOCUMENT) {
+  return [...document.terms.entries()]
+    .filter(([key]) => corpus.df.get(key) >= 2)
+    .map(([key, count]) => ({ key, phrase: corpus.labels.get(key), score: termWeight(corpus, key, count) }))
+    .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key))
+    .slice(0, limit);
+}
+
+// Keyphrase weights as a unit-length sparse vector
+function keyphraseVector(keyphrases) {
+  const norm = Math.sqrt(keyphrases.reduce((sum, { score }) => sum + score * score, 0));
+  return new Map(keyphrases.map(({ key, score }) => [key, score / norm]));
+}
+
+function cosine(vector, centroid) {
+  let dot = 0;
+  vector.forEach((weight, key) => {
+    dot += weight * (centroid.get(key) || 0);
+  });
+  return dot;
+}
+
+// Mean of unit vectors, renormalized and trimmed to its strongest terms
+function centroidOf(vectors) {
+  const sum = new Map();
+  vectors.forEach(vector => vector.forEach((weight, key) => sum.set(key, (sum.get(key) || 0) + weight)));
+
+  const top = [...sum.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, CENTROID_TERMS);
+  const norm = Math.sqrt(top.reduce((total, [, weight]) => total + weight * weight, 0));
+  return new Map(top.map(([key, weight]) => [key, weight / norm]));
+}
+
+/**
+ * Whether any taxonomy topic covers a phrase: a topic matches the phrase ("knee pain relief"
+ * mentions knee pain), or the phrase is part of a topic's name or synonym ("pain" is in "back pain")
+ */
+function inTaxonomy(phrase) {
+  const stems = phraseStems(phrase);
+  return TOPICS.some(topic =>
+    findTopicMatch(topic, phrase) !== null ||
+    topic.termStems.some(termStems => containsPhrase(termStems, stems))
+  );
+}
+
+/**
+ * Group pieces by their keyphrases. Each cluster starts from a common keyphrase that doesn't
+ * mostly overlap an earlier seed, then pieces move to their nearest cluster until nothing changes.
+ * Returns [{ label, keyphrases, items, taxonomyCoverage, topics }], largest first; clusters
+ * smaller than minDocuments are dropped.
+ */
+function clusterDocuments(corpus, { clusters = null, minDocuments = MIN_DOCUMENTS } = {}) {
+  const vectors = corpus.documents
+    .map(document => ({ item: document.item, vector: keyphraseVector(documentKeyphrases(corpus, document)) }))
+    .filter(({ vector }) => vector.size > 0);
+  if (vectors.length === 0) return [];
+
+  const k = clusters || Math.max(2, Math.min(MAX_CLUSTERS, Math.round(Math.sqrt(vectors.length / 2))));
+
+  // Seeds: the most common keyphrases, skipping any whose pieces are mostly another seed's
+  const seeds = [];
+  const byFrequency = [...corpus.df.entries()]
+    .filter(([, count]) => count >= minDocuments)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  for (const [key] of byFrequency) {
+    if (seeds.length === k) break;
+    const members = vectors.filter(({ vector }) => vector.has(key));
+    if (members.length < minDocuments) continue;
+    const overlaps = seeds.some(seed => members.filter(member => seed.has(member)).length > members.length / 2);
+    if (!overlaps) seeds.push(new Set(members));
+  }
+  let centroids = seeds.map(members => centroidOf([...members].map(({ vector }) => vector)));
+
+  let assignment = [];
+  for (let iteration = 0; iteration < CLUSTER_ITERATIONS; iteration++) {
+    const next = vectors.map(({ vector }) => {
+      let best = -1;
+      let bestSimilarity = 0;
+      centroids.forEach((centroid, index) => {
+        const similarity = cosine(vector, centroid);
+        if (similarity > bestSimilarity) {
+          best = index;
+          bestSimilarity = similarity;
+        }
+      });
+      return best;
+    });
+
+    const changed = next.some((cluster, index) => cluster !== assignment[index]);
+    assignment = next;
+    if (!changed) break;
+
+    centroids = centroids.map((centroid, index) => {
+      const members = vectors.filter((_, position) => assignment[position] === index);
+      return members.length > 0 ? centroidOf(members.map(({ vector }) => vector)) : centroid;
+    });
+  }
+
+  return centroids
+    .map((centroid, index) => {
+      const items = vectors.filter((_, position) => assignment[position] === index).map(({ item }) => item);
+      const keyphrases = [...centroid.keys()].slice(0, 5).map(key => corpus.labels.get(key));
+
+      const topicCounts = {};
+      let covered = 0;
+      items.forEach(item => {
+        const topics = topicAssignments(item).filter(({ confidence }) => confidence >= DEFAULT_MIN_CONFIDENCE);
+        if (topics.length > 0) covered++;
+        topics.forEach(({ topic }) => {
+          topicCounts[topic] = (topicCounts[topic] || 0) + 1;
+        });
+      });
+
+      return {
+        label: keyphrases.slice(0, 3).join(' / '),
+        keyphrases,
+        items,
+        taxonomyCoverage: items.length > 0 ? Math.round((covered / items.length) * 100) : 0,
+        topics: Object.entries(topicCounts).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([topic]) => topic)
+      };
+    })
+    .filter(cluster => cluster.items.length >= minDocuments)
+    .sort((a, b) => b.items.length - a.items.length);
+}
+
+/**
+ * Keyphrases in at least minDocuments pieces that no taxonomy topic covers, strongest first:
+ * [{ phrase, documents, recent, older, score, examples: [{ title, url }] }]. A phrase that is
+ * part of (or contains) a stronger theme found in mostly the same pieces is left out.
+ */
+function findEmergingThemes(corpus, { minDocuments = MIN_DOCUMENTS, limit = MAX_THEMES } = {}) {
+  const pieces = new Map();
+  corpus.documents.forEach(document => {
+    document.terms.forEach((count, key) => {
+      if (corpus.df.get(key) < minDocuments) return;
+      if (!pieces.has(key)) pieces.set(key, []);
+      pieces.get(key).push({ item: document.item, score: termWeight(corpus, key, count) });
+    });
+  });
+
+  const candidates = [...pieces.entries()]
+    .map(([key, found]) => ({ key, found, score: found.reduce((sum, { score }) => sum + score, 0) }))
+    .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+
+  const themes = [];
+  for (const candidate of candidates) {
+    if (themes.length === limit) break;
+
+    const stems = candidate.key.split(' ');
+    const items = new Set(candidate.found.map(({ item }) => item));
+    const redundant = themes.some(theme => {
+      const themeStems = theme.key.split(' ');
+      const nested = containsPhrase(themeStems, stems) || containsPhrase(stems, themeStems);
+      const shared = theme.found.filter(({ item }) => items.has(item)).length;
+      return nested && shared >= Math.min(items.size, theme.found.length) * 0.7;
+    });
+    if (redundant || inTaxonomy(corpus.labels.get(candidate.key))) continue;
+
+    themes.push(candidate);
+  }
+
+  return themes.map(({ key, found, score }) => {
+    const { recent, older } = splitByRecency(found.map(({ item }) => item));
+    return {
+      phrase: corpus.labels.get(key),
+      documents: found.length,
+      recent: recent.length,
+      older: older.length,
+      score: Math.round(score * 10) / 10,
+      examples: [...found]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_EXAMPLES)
+        .map(({ item }) => ({ title: item.title, url: item.url }))
+    };
+  });
+}
+
+/**
+ * Keyphrases, clusters and emerging themes for a set of pieces in one pass
+ */
+function discoverThemes(content, options = {}) {
+  const corpus = buildCorpus(content);
+  return {
+    clusters: clusterDocuments(corpus, options),
+    emergingThemes: findEmergingThemes(corpus, options)
+  };
+}
+
+async function main() {
+  const data = await loadDataset();
+  const content = liveContent(data);
+  console.log(`Discovering themes in ${content.length} live pieces (phrases in at least ${MIN_DOCUMENTS})...\n`);
+
+  const { clusters, emergingThemes } = discoverThemes(content);
+
+  console.log('CONTENT CLUSTERS:\n');
+  clusters.forEach((cluster, index) => {
+    const topics = cluster.topics.length > 0 ? cluster.topics.join(', ') : 'none';
+    console.log(`${String(index + 1).padStart(2)}. ${cluster.label} (${cluster.items.length} pieces)`);
+    console.log(`    Keyphrases: ${cluster.keyphrases.join(', ')}`);
+    console.log(`    Taxonomy: ${cluster.taxonomyCoverage}% tagged - ${topics}`);
+    cluster.items.slice(0, 2).forEach(item => console.log(`    → ${item.url}`));
+  });
+
+  console.log('\nEMERGING THEMES NOT IN TAXONOMY:\n');
+  if (emergingThemes.length === 0) {
+    console.log('  None - every frequent keyphrase is covered by taxonomy.json');
+    return;
+  }
+  emergingThemes.forEach(theme => {
+    console.log(`  ${theme.phrase.padEnd(32)} ${String(theme.documents).padStart(4)} pieces (${theme.recent} recent)`);
+    theme.examples.forEach(example => console.log(`    → ${example.url}`));
+  });
+  console.log('\nAdd the ones that matter to taxonomy.json (see npm run taxonomy:check)');
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('✗', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  STOP_WORDS,
+  candidatePhrases,
+  buildCorpus,
+  documentKeyphrases,
+  clusterDocuments,
+  findEmergingThemes,
+  discoverThemes,
+  inTaxonomy
+};
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Snapshot History
+ *
+ * Append-only store of what the dataset looked like after each scraper run:
+ *   history/runs.jsonl                  - one run manifest per line
+ *   history/snapshots/<runId>.json.gz   - gzipped copy of hinge-content.json from that run
+ *
+ * loadAsOf(date) returns the dataset as it was observed at a past date, so analyses
+ * can compare real states instead of inferring them from publish dates.
+ *
+ * Snapshots are big and aren't committed; run this file to delete the ones older than
+ * output.historyRetentionDays (manifests in runs.jsonl are kept):
+ *
+ *   node hinge-history.js --prune [days]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const config = require('./config.json');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const HISTORY_DIR = path.join(__dirname, 'history');
+const SNAPSHOT_DIR = path.join(HISTORY_DIR, 'snapshots');
+const RUNS_FILE = path.join(HISTORY_DIR, 'runs.jsonl');
+const DEFAULT_RETENTION_DAYS = (config.output && config.output.historyRetentionDays) || 120;
+
+/**
+ * Write a file via a temp file and rename, so a crash mid-write never leaves a truncated file behind
+ */
+async function writeFileAtomic(file, data, encoding) {
+  const tempFile = `${file}.tmp`;
+  const handle = await fs.open(tempFile, 'w');
+  try {
+    await handle.writeFile(data, encoding);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempFile, file);
+}
+
+/**
+ * Run ID from the run's start time, e.g. 2026-10-19T15-46-52-125Z (sorts chronologically)
+ */
+function createRunId(startedAt) {
+  return startedAt.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Write a compressed snapshot of the dataset and append its run manifest
+ */
+async function writeSnapshot(dataset, manifest) {
+  await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+
+  const snapshotFile = path.join(SNAPSHOT_DIR, `${manifest.runId}.json.gz`);
+
+  // Snapshots are append-only, never overwrite an earlier run
+  const exists = await fs.access(snapshotFile).then(() => true, () => false);
+  if (exists) throw new Error(`Snapshot ${manifest.runId} already exists`);
+  await writeFileAtomic(snapshotFile, await gzip(JSON.stringify(dataset)));
+
+  const entry = { ...manifest, snapshot: path.relative(HISTORY_DIR, snapshotFile) };
+  await fs.appendFile(RUNS_FILE, JSON.stringify(entry) + '\n', 'utf8');
+
+  return entry;
+}
+
+/**
+ * All run manifests, oldest first
+ */
+async function listRuns() {
+  let raw;
+  try {
+    raw = await fs.readFile(RUNS_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  // A run that died mid-append leaves a partial last line - skip it rather than lose the history
+  return raw
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        console.warn(`Skipping unreadable line in ${RUNS_FILE}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+}
+
+/**
+ * Load the dataset saved by a given run
+ */
+async function loadSnapshot(run) {
+  const compressed = await fs.readFile(path.join(HISTORY_DIR, run.snapshot));
+  return JSON.parse((await gunzip(compressed)).toString('utf8'));
+}
+
+/**
+ * The dataset as of a past date: the snapshot from the last run that finished by then.
+ * Runs whose snapshot was pruned (or never restored on this machine) are passed over.
+ * Resolves to { run, data }, or null if no earlier run has a snapshot.
+ */
+async function loadAsOf(date) {
+  const cutoff = new Date(date).toISOString();
+  const runs = (await listRuns()).filter(r => r.finishedAt <= cutoff);
+
+  for (const run of runs.reverse()) {
+    try {
+      return { run, data: await loadSnapshot(run) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Delete snapshots from runs that finished more than `days` ago, keeping the newest of those
+ * so loadAsOf() still has a baseline for the oldest window. Returns the number deleted.
+ */
+async function pruneSnapshots(days = DEFAULT_RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const expired = (await listRuns()).filter(run => run.snapshot && run.finishedAt < cutoff);
+
+  let deleted = 0;
+  for (const run of expired.slice(0, -1)) {
+    try {
+      await fs.unlink(path.join(HISTORY_DIR, run.snapshot));
+      deleted++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return deleted;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (!args.includes('--prune')) {
+    console.log('Usage: node hinge-history.js --prune [days]');
+    return;
+  }
+
+  const value = args[args.indexOf('--prune') + 1];
+  const days = value === undefined ? DEFAULT_RETENTION_DAYS : Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error(`--prune should be a number of days, got "${value}"`);
+  }
+
+  const deleted = await pruneSnapshots(days);
+  console.log(`✓ Deleted ${deleted} snapshot(s) older than ${days} days`);
+}
+
+module.exports = {
+  HISTORY_DIR,
+  writeFileAtomic,
+  createRunId,
+  writeSnapshot,
+  listRuns,
+  loadSnapshot,
+  loadAsOf,
+  pruneSnapshots
+};
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('✗ Pruning history failed:', error.message);
+    process.exitCode = 1;
+  });
+}
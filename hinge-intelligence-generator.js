@@ -9,74 +9,84 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { parseISO, format, subMonths, isAfter } = require('date-fns');
+const { parseISO, format, subDays } = require('date-fns');
+const { openStorage } = require('./hinge-storage');
+const {
+  TOPIC_CATEGORIES,
+  AUDIENCES,
+  DEFAULT_MIN_CONFIDENCE,
+  topicAssignments,
+  extractStrategicTopics,
+  audienceAssignments,
+  mentionsKeyword,
+  reportedTopics,
+  topicLevelFromArgs,
+  minConfidenceFromArgs,
+  emptyTopicMap,
+  publishedOn,
+  splitByRecency,
+  loadDataset,
+  liveContent
+} = require('./hinge-core');
+const { discoverThemes } = require('./hinge-discovery');
 
-const DATA_FILE = path.join(__dirname, 'hinge-content.json');
 const OUTPUT_FILE = path.join(__dirname, 'hinge-intelligence.json');
 
-// Strategic topic patterns
-const STRATEGIC_TOPICS = {
-  clinical: [
-    'chronic pain', 'back pain', 'knee pain', 'hip pain', 'shoulder pain', 'neck pain',
-    'behavioral health', 'mental health', 'pelvic health', 'pelvic floor',
-    'arthritis', 'sciatica', 'tendonitis', 'osteoarthritis',
-    'physical therapy', 'exercise therapy', 'pain management', 'pain relief',
-    'musculoskeletal', 'msk care', 'fall prevention', 'injury prevention'
-  ],
-  business: [
-    'employer', 'employers', 'cost savings', 'roi', 'return on investment',
-    'member engagement', 'employee engagement', 'utilization', 'outcomes',
-    'claims', 'medical claims', 'healthcare costs', 'total cost',
-    'productivity', 'absenteeism', 'presenteeism', 'disability',
-    'benefits', 'health plan', 'wellness program'
-  ],
-  technology: [
-    'digital health', 'digital msk', 'telehealth', 'telemedicine', 'virtual',
-    'ai', 'artificial intelligence', 'machine learning', 'computer vision',
-    'remote monitoring', 'wearable', 'sensor', 'motion tracking',
-    'app', 'mobile', 'platform', 'technology', 'enso', 'truemotion'
-  ],
-  market: [
-    'msk', 'value-based care', 'population health',
-    'clinical outcomes', 'patient outcomes', 'evidence-based',
-    'research', 'study', 'clinical study', 'white paper', 'report',
-    'partnership', 'integration', 'provider network'
-  ]
-};
-
-function extractStrategicTopics(text) {
-  const textLower = text.toLowerCase();
-  const found = { clinical: [], business: [], technology: [], market: [] };
-
-  Object.entries(STRATEGIC_TOPICS).forEach(([category, patterns]) => {
-    patterns.forEach(pattern => {
-      if (textLower.includes(pattern)) {
-        found[category].push(pattern);
-      }
-    });
-  });
+// Look-back windows (days) for comparing against observed history snapshots
+const OBSERVED_WINDOWS = [30, 90];
 
-  return found;
+// Taxonomy depth to roll topics up to (--level N, read in main), or null to report topics as matched
+let TOPIC_LEVEL = null;
+
+// Topic and audience assignments below this confidence are left out of every count (--min-confidence X)
+let MIN_CONFIDENCE = DEFAULT_MIN_CONFIDENCE;
+
+// Stored audience labels backed by a rule at MIN_CONFIDENCE or above. Labels the current rules
+// don't produce (from an older scrape) are kept as stored.
+const audienceCache = new WeakMap();
+function audiencesOf(item) {
+  if (!audienceCache.has(item)) {
+    const confidence = Object.fromEntries(audienceAssignments(item).map(({ audience, confidence }) => [audience, confidence]));
+    audienceCache.set(item, item.targetAudience.filter(aud => !(aud in confidence) || confidence[aud] >= MIN_CONFIDENCE));
+  }
+  return audienceCache.get(item);
 }
 
-async function loadData() {
-  const data = await fs.readFile(DATA_FILE, 'utf8');
-  return JSON.parse(data);
+// Past datasets from the history store, one per look-back window that has a snapshot
+async function loadPastStates(storage) {
+  const states = [];
+  for (const days of OBSERVED_WINDOWS) {
+    const past = await storage.loadAsOf(subDays(new Date(), days));
+    if (past) states.push({ days, run: past.run, data: past.data });
+  }
+  return states;
 }
 
-function generateIntelligence(data, content) {
+function generateIntelligence(data, allContent, changeLog = [], pastStates = []) {
   console.log('Generating intelligence data...');
 
+  // Tombstoned pages only feed the pulled-content section
+  const content = allContent.filter(item => !item.removed);
+  const removedContent = allContent.filter(item => item.removed);
+
   // Gather all analytics
   const topicData = gatherTopicData(content);
   const trendingData = gatherTrendingData(content);
   const audienceData = gatherAudienceData(content);
   const messagingData = gatherMessagingData(topicData, content);
   const campaignData = gatherCampaignData(content, topicData);
-  const gapsData = gatherContentGaps(topicData);
+  const themeData = discoverThemes(content);
+  const gapsData = gatherContentGaps(topicData, themeData);
   const qualityData = gatherQualityData(content);
   const insightsData = generateKeyInsights(content, topicData, trendingData, audienceData);
   const timelineData = generateTimeline(content);
+  const authorData = gatherAuthorData(content);
+  const linkData = gatherLinkGraph(content);
+  const ctaData = gatherCtaData(content);
+  const leadGenData = gatherLeadGenerationData(content);
+  const revisionData = gatherRevisionData(content, changeLog);
+  const pulledData = gatherPulledContentData(removedContent);
+  const observedData = gatherObservedTrend(content, pastStates);
 
   // Calculate metadata
   const withDates = content.filter(c => c.publishDate);
@@ -92,34 +102,81 @@ function generateIntelligence(data, content) {
         earliest: dates.length > 0 ? dates[0] : null,
         latest: dates.length > 0 ? dates[dates.length - 1] : null
       },
-      withDatesPct: ((withDates.length / content.length) * 100).toFixed(1)
+      removedPieces: removedContent.length,
+      withDatesPct: ((withDates.length / content.length) * 100).toFixed(1),
+      publishDateSources: countPublishDateSources(content)
     },
 
-    strategicPriorities: generateStrategicPriorities(content, topicData),
+    // The shared taxonomy from hinge-core.js, so the dashboard lists audiences and topics the same way
+    taxonomy: {
+      audiences: AUDIENCES,
+      topicCategories: TOPIC_CATEGORIES,
+      topicLevel: TOPIC_LEVEL,
+      minConfidence: MIN_CONFIDENCE
+    },
+
+    strategicPriorities: generateStrategicPriorities(content, topicData, linkData),
     trendingUp: trendingData.trending,
     trendingDown: trendingData.declining,
     audienceStrategy: audienceData,
     messaging: messagingData,
     campaigns: campaignData,
     contentGaps: gapsData,
+    themeClusters: themeData.clusters.map(cluster => ({
+      label: cluster.label,
+      keyphrases: cluster.keyphrases,
+      size: cluster.items.length,
+      taxonomyCoverage: cluster.taxonomyCoverage,
+      topics: cluster.topics,
+      examples: cluster.items.slice(0, 3).map(item => ({ title: item.title, url: item.url }))
+    })),
     qualityMetrics: qualityData,
     keyInsights: insightsData,
     timeline: timelineData,
-
-    // Raw content for table view
-    rawContent: content
+    authors: authorData,
+    linkGraph: linkData.summary,
+    ctaMix: ctaData,
+    leadGeneration: leadGenData,
+    recentlyRevised: revisionData,
+    pulledContent: pulledData,
+    observedTrend: observedData,
+
+    // Raw content for table view (full body text and structured data stay in hinge-content.json)
+    rawContent: content.map(toRawContentRow)
   };
 
   return intelligence;
 }
 
+// Where each publishDate came from; records scraped before sources were recorded are "unrecorded"
+function countPublishDateSources(content) {
+  const sources = {};
+  content.forEach(item => {
+    let source = 'none';
+    if (item.dateSources) {
+      source = item.dateSources.publishDate || 'none';
+    } else if (item.publishDate) {
+      source = 'unrecorded';
+    }
+    sources[source] = (sources[source] || 0) + 1;
+  });
+  return sources;
+}
+
+function toRawContentRow(item) {
+  const { bodyText, headings, structuredData, sitemap, links, ctas, leadForms, gatingSignals, fingerprints, ...row } = item;
+  // Why each topic and audience was assigned, so analysts can audit the tagging
+  row.topics = topicAssignments(item, TOPIC_LEVEL).filter(assignment => assignment.confidence >= MIN_CONFIDENCE);
+  row.audienceEvidence = audienceAssignments(item).filter(assignment => item.targetAudience.includes(assignment.audience));
+  return row;
+}
+
 function gatherTopicData(content) {
-  const topicCounts = { clinical: {}, business: {}, technology: {}, market: {} };
-  const topicContent = { clinical: {}, business: {}, technology: {}, market: {} };
+  const topicCounts = emptyTopicMap();
+  const topicContent = emptyTopicMap();
 
   content.forEach(item => {
-    const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-    const topics = extractStrategicTopics(text);
+    const topics = extractStrategicTopics(item, TOPIC_LEVEL, MIN_CONFIDENCE);
 
     Object.entries(topics).forEach(([category, foundTopics]) => {
       foundTopics.forEach(topic => {
@@ -135,27 +192,13 @@ function gatherTopicData(content) {
 
 function gatherTrendingData(content) {
   const withDates = content.filter(c => c.publishDate);
-  const threeMonthsAgo = subMonths(new Date(), 3);
-  const recent = [];
-  const older = [];
-
-  withDates.forEach(item => {
-    try {
-      const date = parseISO(item.publishDate + 'T00:00:00');
-      if (isAfter(date, threeMonthsAgo)) {
-        recent.push(item);
-      } else {
-        older.push(item);
-      }
-    } catch (e) {}
-  });
+  const { recent, older } = splitByRecency(withDates);
 
   const extractTopics = (items) => {
     const topics = {};
     const topicContent = {};
     items.forEach(item => {
-      const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-      const found = extractStrategicTopics(text);
+      const found = extractStrategicTopics(item, TOPIC_LEVEL, MIN_CONFIDENCE);
       Object.entries(found).forEach(([category, foundTopics]) => {
         foundTopics.forEach(topic => {
           topics[topic] = (topics[topic] || 0) + 1;
@@ -211,15 +254,14 @@ function gatherTrendingData(content) {
 }
 
 function gatherAudienceData(content) {
-  const audiences = ['providers', 'employers', 'health plans', 'partners', 'members', 'general'];
   const audienceCounts = {};
 
-  audiences.forEach(aud => {
-    audienceCounts[aud] = content.filter(c => c.targetAudience.includes(aud)).length;
+  AUDIENCES.forEach(aud => {
+    audienceCounts[aud] = content.filter(c => audiencesOf(c).includes(aud)).length;
   });
 
   // Provider breakdown
-  const providerContent = content.filter(c => c.targetAudience.includes('providers'));
+  const providerContent = content.filter(c => audiencesOf(c).includes('providers'));
   const providerBreakdown = {
     physicalTherapists: 0,
     physicians: 0,
@@ -241,46 +283,14 @@ function gatherAudienceData(content) {
   });
 
   // Audience shifts
-  const withDates = content.filter(c => c.publishDate);
-  const threeMonthsAgo = subMonths(new Date(), 3);
+  const split = splitByRecency(content);
+  const recentTotal = split.recent.length;
+  const olderTotal = split.older.length;
   const audienceShifts = { growing: [], declining: [] };
 
-  audiences.forEach(aud => {
-    const recent = withDates.filter(c => {
-      try {
-        const date = parseISO(c.publishDate + 'T00:00:00');
-        return isAfter(date, threeMonthsAgo) && c.targetAudience.includes(aud);
-      } catch (e) {
-        return false;
-      }
-    }).length;
-
-    const older = withDates.filter(c => {
-      try {
-        const date = parseISO(c.publishDate + 'T00:00:00');
-        return !isAfter(date, threeMonthsAgo) && c.targetAudience.includes(aud);
-      } catch (e) {
-        return false;
-      }
-    }).length;
-
-    const recentTotal = withDates.filter(c => {
-      try {
-        const date = parseISO(c.publishDate + 'T00:00:00');
-        return isAfter(date, threeMonthsAgo);
-      } catch (e) {
-        return false;
-      }
-    }).length;
-
-    const olderTotal = withDates.filter(c => {
-      try {
-        const date = parseISO(c.publishDate + 'T00:00:00');
-        return !isAfter(date, threeMonthsAgo);
-      } catch (e) {
-        return false;
-      }
-    }).length;
+  AUDIENCES.forEach(aud => {
+    const recent = split.recent.filter(c => audiencesOf(c).includes(aud)).length;
+    const older = split.older.filter(c => audiencesOf(c).includes(aud)).length;
 
     const recentPct = recentTotal > 0 ? (recent / recentTotal) * 100 : 0;
     const olderPct = olderTotal > 0 ? (older / olderTotal) * 100 : 0;
@@ -294,7 +304,7 @@ function gatherAudienceData(content) {
   });
 
   return {
-    breakdown: audiences.map(aud => ({
+    breakdown: AUDIENCES.map(aud => ({
       audience: aud,
       count: audienceCounts[aud],
       percentage: ((audienceCounts[aud] / content.length) * 100).toFixed(1)
@@ -351,7 +361,7 @@ function gatherMessagingData(topicData, content) {
     topicInfo.content.forEach(item => {
       const text = `${item.title} ${item.metaDescription}`.toLowerCase();
       Object.entries(keywords).forEach(([message, kws]) => {
-        if (kws.some(kw => text.includes(kw))) {
+        if (kws.some(kw => mentionsKeyword(text, kw))) {
           messageCounts[message] = (messageCounts[message] || 0) + 1;
         }
       });
@@ -409,41 +419,41 @@ function gatherCampaignData(content, topicData) {
   return campaigns.sort((a, b) => b.count - a.count).slice(0, 10);
 }
 
-function gatherContentGaps(topicData) {
+function gatherContentGaps(topicData, themeData) {
   const zeroCoverage = [];
   const limitedCoverage = [];
 
-  Object.entries(STRATEGIC_TOPICS).forEach(([category, patterns]) => {
-    patterns.forEach(pattern => {
-      const count = topicData.topicCounts[category][pattern] || 0;
-
-      if (count === 0) {
-        // Generate dynamic opportunity description based on category
-        let opportunity = '';
-        if (category === 'business') {
-          opportunity = 'Business differentiation opportunity';
-        } else if (category === 'technology') {
-          opportunity = 'Technology positioning gap';
-        } else if (category === 'clinical') {
-          opportunity = 'Clinical content opportunity';
-        } else if (category === 'market') {
-          opportunity = 'Market positioning opportunity';
-        }
-
-        zeroCoverage.push({ topic: pattern, count: 0, opportunity });
-      } else if (count < 5) {
-        limitedCoverage.push({
-          topic: pattern,
-          count,
-          opportunity: `Only ${count} piece${count === 1 ? '' : 's'} - room to expand`
-        });
+  reportedTopics(TOPIC_LEVEL).forEach(({ category, name, minCount }) => {
+    const count = topicData.topicCounts[category][name] || 0;
+
+    if (count === 0) {
+      // Generate dynamic opportunity description based on category
+      let opportunity = '';
+      if (category === 'business') {
+        opportunity = 'Business differentiation opportunity';
+      } else if (category === 'technology') {
+        opportunity = 'Technology positioning gap';
+      } else if (category === 'clinical') {
+        opportunity = 'Clinical content opportunity';
+      } else if (category === 'market') {
+        opportunity = 'Market positioning opportunity';
       }
-    });
+
+      zeroCoverage.push({ topic: name, count: 0, opportunity });
+    } else if (count < minCount) {
+      limitedCoverage.push({
+        topic: name,
+        count,
+        opportunity: `Only ${count} piece${count === 1 ? '' : 's'} - room to expand`
+      });
+    }
   });
 
   return {
     zeroCoverage: zeroCoverage.slice(0, 15),
-    limitedCoverage: limitedCoverage.slice(0, 10)
+    limitedCoverage: limitedCoverage.slice(0, 10),
+    // Frequent keyphrases no taxonomy topic covers - candidates for taxonomy.json
+    emergingThemes: themeData.emergingThemes
   };
 }
 
@@ -503,7 +513,7 @@ function generateKeyInsights(content, topicData, trendingData, audienceData) {
         const text = `${item.title} ${item.metaDescription}`.toLowerCase();
         if (text.includes('care') || text.includes('treatment')) subtopics.care++;
         if (text.includes('outcome') || text.includes('results')) subtopics.outcomes++;
-        if (text.includes('cost') || text.includes('savings') || text.includes('roi')) subtopics.cost++;
+        if (text.includes('cost') || text.includes('savings') || mentionsKeyword(text, 'roi')) subtopics.cost++;
         if (text.includes('member') || text.includes('patient')) subtopics.member++;
         if (text.includes('personali') || text.includes('custom')) subtopics.personalization++;
       });
@@ -576,23 +586,29 @@ function generateKeyInsights(content, topicData, trendingData, audienceData) {
   return insights;
 }
 
-function generateStrategicPriorities(content, topicData) {
+function generateStrategicPriorities(content, topicData, linkData) {
   const allTopics = [];
 
   Object.entries(topicData.topicCounts).forEach(([category, topics]) => {
     Object.entries(topics).forEach(([topic, count]) => {
       if (count >= 10) {
+        const topicContent = topicData.topicContent[category][topic];
         allTopics.push({
           topic,
           count,
           category,
-          content: topicData.topicContent[category][topic]
+          content: topicContent,
+          // Pieces weighted by PageRank (1 for an average page), so topics the site links to rank higher
+          weight: topicContent.reduce((sum, item) => sum + (linkData.importance[normalizeLinkUrl(item.url)] || 0), 0)
         });
       }
     });
   });
 
-  const top10 = allTopics.sort((a, b) => b.count - a.count).slice(0, 10);
+  // Rank by link prominence when the pages' links were scraped, otherwise by piece count
+  const top10 = allTopics
+    .sort((a, b) => (linkData.hasLinkData ? b.weight - a.weight : 0) || b.count - a.count)
+    .slice(0, 10);
 
   return top10.map((t, i) => {
     const pct = (t.count / content.length) * 100;
@@ -608,6 +624,13 @@ function generateStrategicPriorities(content, topicData) {
       }))
     };
 
+    // Internal prominence: how strongly the site itself links to this topic's pages
+    if (linkData.hasLinkData) {
+      const inbound = t.content.map(item => linkData.inboundCounts[normalizeLinkUrl(item.url)] || 0);
+      priority.avgInboundLinks = (inbound.reduce((sum, n) => sum + n, 0) / t.content.length).toFixed(1);
+      priority.linkWeightedScore = parseFloat(t.weight.toFixed(1));
+    }
+
     // Generate dynamic interpretation based on percentage
     let scale = '';
     if (pct >= 40) scale = 'Dominant focus area';
@@ -638,7 +661,7 @@ function analyzeAISubtopics(aiContent) {
     const text = `${item.title} ${item.metaDescription}`.toLowerCase();
     if (text.includes('care') || text.includes('treatment') || text.includes('therapy')) subtopics.care++;
     if (text.includes('outcome') || text.includes('results') || text.includes('improve')) subtopics.outcomes++;
-    if (text.includes('cost') || text.includes('savings') || text.includes('roi')) subtopics.cost++;
+    if (text.includes('cost') || text.includes('savings') || mentionsKeyword(text, 'roi')) subtopics.cost++;
     if (text.includes('member') || text.includes('patient') || text.includes('experience')) subtopics.member++;
     if (text.includes('personali') || text.includes('custom') || text.includes('tailored')) subtopics.personalization++;
     if (text.includes('clinical') || text.includes('evidence') || text.includes('research')) subtopics.clinical++;
@@ -668,8 +691,8 @@ function analyzeMSKTypes(mskContent) {
     const text = `${item.title} ${item.metaDescription}`.toLowerCase();
     const title = item.title.toLowerCase();
 
-    if (text.includes('roi') || text.includes('cost') || text.includes('savings') || text.includes('employer')) types['Business value']++;
-    if (text.includes('platform') || text.includes('app') || text.includes('technology') || text.includes('digital')) types['Product features']++;
+    if (mentionsKeyword(text, 'roi') || text.includes('cost') || text.includes('savings') || text.includes('employer')) types['Business value']++;
+    if (text.includes('platform') || mentionsKeyword(text, 'app') || text.includes('technology') || text.includes('digital')) types['Product features']++;
     if (title.includes('exercise') || title.includes('treatment') || title.includes('how to')) types['Exercise/treatment']++;
     if (item.contentType === 'case-study' || text.includes('success')) types['Success stories']++;
     if (text.includes('study') || text.includes('research') || text.includes('evidence')) types['Research/evidence']++;
@@ -686,13 +709,527 @@ function analyzeMSKTypes(mskContent) {
     }));
 }
 
+function gatherAuthorData(content) {
+  const contributors = {};
+  const monthStart = format(new Date(), 'yyyy-MM');
+
+  const track = (person, role, item) => {
+    const key = person.name.toLowerCase();
+    if (!contributors[key]) {
+      contributors[key] = {
+        name: person.name,
+        credentials: [],
+        profileUrl: null,
+        authored: 0,
+        reviewed: 0,
+        contentTypes: {},
+        firstSeen: item.firstSeen,
+        latestPublishDate: null,
+        examples: []
+      };
+    }
+
+    const c = contributors[key];
+    c[role]++;
+    c.credentials = [...new Set([...c.credentials, ...(person.credentials || [])])];
+    c.profileUrl = c.profileUrl || person.profileUrl || null;
+    c.contentTypes[item.contentType] = (c.contentTypes[item.contentType] || 0) + 1;
+    if (item.firstSeen && (!c.firstSeen || item.firstSeen < c.firstSeen)) c.firstSeen = item.firstSeen;
+    if (item.publishDate && (!c.latestPublishDate || item.publishDate > c.latestPublishDate)) {
+      c.latestPublishDate = item.publishDate;
+    }
+    if (c.examples.length < 3) c.examples.push({ title: item.title, url: item.url });
+  };
+
+  const withAuthor = content.filter(item => (item.authors || []).length > 0);
+  content.forEach(item => {
+    (item.authors || []).forEach(person => track(person, 'authored', item));
+    (item.reviewers || []).forEach(person => track(person, 'reviewed', item));
+  });
+
+  // Reviewer coverage per content type
+  const byType = {};
+  content.forEach(item => {
+    if (!byType[item.contentType]) byType[item.contentType] = { total: 0, reviewed: 0, withAuthor: 0 };
+    byType[item.contentType].total++;
+    if ((item.reviewers || []).length > 0) byType[item.contentType].reviewed++;
+    if ((item.authors || []).length > 0) byType[item.contentType].withAuthor++;
+  });
+
+  const all = Object.values(contributors);
+
+  // Credential mix across everyone who writes or reviews
+  const credentialCounts = {};
+  all.forEach(c => {
+    (c.credentials.length > 0 ? c.credentials : ['none listed']).forEach(cred => {
+      credentialCounts[cred] = (credentialCounts[cred] || 0) + 1;
+    });
+  });
+
+  return {
+    totalContributors: all.length,
+    withAuthorPct: content.length > 0 ? ((withAuthor.length / content.length) * 100).toFixed(1) : '0.0',
+    topAuthors: all
+      .filter(c => c.authored > 0)
+      .sort((a, b) => b.authored - a.authored)
+      .slice(0, 25),
+    topReviewers: all
+      .filter(c => c.reviewed > 0)
+      .sort((a, b) => b.reviewed - a.reviewed)
+      .slice(0, 25),
+    reviewerCoverage: Object.entries(byType)
+      .map(([contentType, counts]) => ({
+        contentType,
+        total: counts.total,
+        reviewed: counts.reviewed,
+        withAuthor: counts.withAuthor,
+        percentage: ((counts.reviewed / counts.total) * 100).toFixed(1)
+      }))
+      .sort((a, b) => b.total - a.total),
+    credentials: Object.entries(credentialCounts)
+      .map(([credential, count]) => ({ credential, count }))
+      .sort((a, b) => b.count - a.count),
+    newThisMonth: all
+      .filter(c => c.firstSeen && c.firstSeen.substring(0, 7) === monthStart)
+      .map(c => ({ name: c.name, credentials: c.credentials, authored: c.authored, reviewed: c.reviewed, firstSeen: c.firstSeen }))
+  };
+}
+
+// Compare URLs regardless of trailing slash, query string or fragment
+function normalizeLinkUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.host}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch (e) {
+    return url;
+  }
+}
+
+// Group links that leave the dataset by their top-level section, e.g. /for-organizations/
+function linkTargetGroup(url) {
+  try {
+    const segment = new URL(url).pathname.split('/').filter(Boolean)[0];
+    return segment ? `/${segment}/` : '/';
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+function gatherLinkGraph(content) {
+  const byUrl = {};
+  content.forEach(item => {
+    byUrl[normalizeLinkUrl(item.url)] = item;
+  });
+
+  const hasLinkData = content.some(item => Array.isArray(item.links));
+  const outbound = {};
+  const inbound = {};
+  const typeFlows = {};
+  const conversionLinks = {};
+
+  content.forEach(item => {
+    const source = normalizeLinkUrl(item.url);
+    outbound[source] = new Set();
+
+    (item.links || []).forEach(link => {
+      const target = normalizeLinkUrl(link.url);
+      if (target === source) return;
+
+      const targetItem = byUrl[target];
+      const targetType = targetItem ? targetItem.contentType : linkTargetGroup(link.url);
+      const flowKey = `${item.contentType} → ${targetType}`;
+      typeFlows[flowKey] = (typeFlows[flowKey] || 0) + 1;
+
+      // Links into the organization/sales pages are the conversion paths
+      if (link.url.includes('/for-organizations/')) {
+        if (!conversionLinks[item.contentType]) conversionLinks[item.contentType] = { links: 0, anchors: {} };
+        conversionLinks[item.contentType].links++;
+        const anchor = (link.text || '').toLowerCase();
+        if (anchor) conversionLinks[item.contentType].anchors[anchor] = (conversionLinks[item.contentType].anchors[anchor] || 0) + 1;
+      }
+
+      if (targetItem) {
+        outbound[source].add(target);
+        if (!inbound[target]) inbound[target] = new Set();
+        inbound[target].add(source);
+      }
+    });
+  });
+
+  const inboundCounts = {};
+  Object.keys(byUrl).forEach(url => {
+    inboundCounts[url] = inbound[url] ? inbound[url].size : 0;
+  });
+
+  // PageRank over the content graph, scaled so the average page scores 1
+  const urls = Object.keys(byUrl);
+  const damping = 0.85;
+  let rank = {};
+  urls.forEach(url => { rank[url] = 1; });
+
+  for (let iteration = 0; iteration < 20; iteration++) {
+    const next = {};
+    let danglingRank = 0;
+    urls.forEach(url => {
+      next[url] = 1 - damping;
+      if (outbound[url].size === 0) danglingRank += rank[url];
+    });
+    urls.forEach(url => {
+      const share = outbound[url].size > 0 ? rank[url] / outbound[url].size : 0;
+      outbound[url].forEach(target => { next[target] += damping * share; });
+    });
+    urls.forEach(url => { next[url] += damping * danglingRank / urls.length; });
+    rank = next;
+  }
+
+  const toPage = (url) => ({
+    title: byUrl[url].title,
+    url: byUrl[url].url,
+    contentType: byUrl[url].contentType,
+    inboundLinks: inboundCounts[url],
+    outboundLinks: outbound[url].size,
+    importance: parseFloat(rank[url].toFixed(2))
+  });
+
+  const orphans = hasLinkData ? urls.filter(url => inboundCounts[url] === 0) : [];
+
+  return {
+    hasLinkData,
+    inboundCounts,
+    importance: rank,
+    summary: {
+      hasLinkData,
+      totalLinks: Object.values(typeFlows).reduce((sum, n) => sum + n, 0),
+      mostLinked: urls
+        .filter(url => inboundCounts[url] > 0)
+        .sort((a, b) => inboundCounts[b] - inboundCounts[a])
+        .slice(0, 15)
+        .map(toPage),
+      hubPages: urls
+        .filter(url => outbound[url].size > 0)
+        .sort((a, b) => outbound[b].size - outbound[a].size)
+        .slice(0, 15)
+        .map(toPage),
+      mostImportant: hasLinkData
+        ? [...urls].sort((a, b) => rank[b] - rank[a]).slice(0, 15).map(toPage)
+        : [],
+      orphanCount: orphans.length,
+      orphans: orphans.slice(0, 50).map(toPage),
+      typeFlows: Object.entries(typeFlows)
+        .map(([flow, count]) => ({ flow, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 30),
+      conversionLinks: Object.entries(conversionLinks)
+        .map(([contentType, data]) => ({
+          contentType,
+          links: data.links,
+          topAnchors: Object.entries(data.anchors)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 5)
+            .map(([text, count]) => ({ text, count }))
+        }))
+        .sort((a, b) => b.links - a.links)
+    }
+  };
+}
+
+function gatherCtaData(content) {
+  const scraped = content.filter(item => Array.isArray(item.ctas));
+  const ctaTypes = new Set();
+
+  // Count pages (not links) carrying each CTA type within a group
+  const tally = (groups, groupKey, item) => {
+    if (!groups[groupKey]) groups[groupKey] = { pages: 0, withCta: 0, ctas: {} };
+    const group = groups[groupKey];
+    group.pages++;
+    const types = [...new Set(item.ctas.map(cta => cta.type))];
+    if (types.length > 0) group.withCta++;
+    types.forEach(type => {
+      ctaTypes.add(type);
+      group.ctas[type] = (group.ctas[type] || 0) + 1;
+    });
+  };
+
+  const byContentType = {};
+  const byAudience = {};
+  const byMonth = {};
+  const targets = {};
+
+  scraped.forEach(item => {
+    tally(byContentType, item.contentType, item);
+    audiencesOf(item).forEach(aud => tally(byAudience, aud, item));
+    if (item.publishDate) tally(byMonth, item.publishDate.substring(0, 7), item);
+
+    item.ctas.forEach(cta => {
+      if (!cta.url) return;
+      const key = `${cta.type}|${cta.url}`;
+      if (!targets[key]) targets[key] = { type: cta.type, url: cta.url, text: cta.text, pages: 0 };
+      targets[key].pages++;
+    });
+  });
+
+  const toRows = (groups, keyName) => Object.entries(groups)
+    .map(([key, group]) => ({
+      [keyName]: key,
+      pages: group.pages,
+      withCtaPct: ((group.withCta / group.pages) * 100).toFixed(1),
+      mix: Object.entries(group.ctas)
+        .map(([type, count]) => ({ type, count, percentage: ((count / group.pages) * 100).toFixed(1) }))
+        .sort((a, b) => b.count - a.count)
+    }));
+
+  const overTime = toRows(byMonth, 'month')
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .slice(-12);
+
+  // Shift: CTA share in the latest 3 months vs the 9 before
+  const shareOf = (rows, type) => {
+    const pages = rows.reduce((sum, row) => sum + row.pages, 0);
+    const withType = rows.reduce((sum, row) => sum + (row.mix.find(m => m.type === type)?.count || 0), 0);
+    return pages > 0 ? (withType / pages) * 100 : 0;
+  };
+  const recentMonths = overTime.slice(-3);
+  const earlierMonths = overTime.slice(0, -3);
+  const shifts = [...ctaTypes]
+    .map(type => ({
+      type,
+      recentPct: shareOf(recentMonths, type).toFixed(1),
+      earlierPct: shareOf(earlierMonths, type).toFixed(1),
+      change: parseFloat((shareOf(recentMonths, type) - shareOf(earlierMonths, type)).toFixed(1))
+    }))
+    .sort((a, b) => b.change - a.change);
+
+  return {
+    pagesAnalyzed: scraped.length,
+    byContentType: toRows(byContentType, 'contentType').sort((a, b) => b.pages - a.pages),
+    byAudience: toRows(byAudience, 'audience').sort((a, b) => b.pages - a.pages),
+    overTime,
+    shifts,
+    topTargets: Object.values(targets)
+      .sort((a, b) => b.pages - a.pages)
+      .slice(0, 15)
+  };
+}
+
+function gatherLeadGenerationData(content) {
+  const scraped = content.filter(item => typeof item.gated === 'boolean');
+  const gated = scraped.filter(item => item.gated);
+
+  // Gated vs ungated per content type
+  const byType = {};
+  scraped.forEach(item => {
+    if (!byType[item.contentType]) byType[item.contentType] = { total: 0, gated: 0 };
+    byType[item.contentType].total++;
+    if (item.gated) byType[item.contentType].gated++;
+  });
+
+  // Which topics they put behind a form
+  const gatedTopics = {};
+  gated.forEach(item => {
+    const found = extractStrategicTopics(item, TOPIC_LEVEL, MIN_CONFIDENCE);
+    Object.values(found).flat().forEach(topic => {
+      if (!gatedTopics[topic]) gatedTopics[topic] = { topic, count: 0, examples: [] };
+      gatedTopics[topic].count++;
+      if (gatedTopics[topic].examples.length < 2) {
+        gatedTopics[topic].examples.push({ title: item.title, url: item.url });
+      }
+    });
+  });
+
+  // What the forms ask for
+  const fieldCounts = {};
+  const providers = {};
+  gated.forEach(item => {
+    (item.leadForms || []).forEach(form => {
+      providers[form.provider] = (providers[form.provider] || 0) + 1;
+      (form.fieldCategories || []).forEach(category => {
+        fieldCounts[category] = (fieldCounts[category] || 0) + 1;
+      });
+    });
+  });
+
+  // Gating over time, by publish month
+  const byMonth = {};
+  scraped.filter(item => item.publishDate).forEach(item => {
+    const month = item.publishDate.substring(0, 7);
+    if (!byMonth[month]) byMonth[month] = { month, total: 0, gated: 0 };
+    byMonth[month].total++;
+    if (item.gated) byMonth[month].gated++;
+  });
+
+  return {
+    pagesAnalyzed: scraped.length,
+    gatedCount: gated.length,
+    gatedPct: scraped.length > 0 ? ((gated.length / scraped.length) * 100).toFixed(1) : '0.0',
+    byContentType: Object.entries(byType)
+      .map(([contentType, counts]) => ({
+        contentType,
+        total: counts.total,
+        gated: counts.gated,
+        percentage: ((counts.gated / counts.total) * 100).toFixed(1)
+      }))
+      .sort((a, b) => b.gated - a.gated || b.total - a.total),
+    gatedTopics: Object.values(gatedTopics).sort((a, b) => b.count - a.count).slice(0, 15),
+    formFields: Object.entries(fieldCounts)
+      .map(([field, count]) => ({ field, count }))
+      .sort((a, b) => b.count - a.count),
+    formProviders: providers,
+    overTime: Object.values(byMonth)
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .slice(-12)
+      .map(row => ({ ...row, percentage: ((row.gated / row.total) * 100).toFixed(1) })),
+    recentGated: gated
+      .filter(item => item.publishDate)
+      .sort((a, b) => b.publishDate.localeCompare(a.publishDate))
+      .slice(0, 10)
+      .map(item => ({ title: item.title, url: item.url, contentType: item.contentType, publishDate: item.publishDate, signals: item.gatingSignals || [] }))
+  };
+}
+
+// Pages Hinge rewrote after publishing, newest first (full diffs stay in hinge-changes.json)
+function gatherRevisionData(content, changeLog) {
+  const contentByUrl = new Map(content.map(item => [item.url, item]));
+  const recent = [...changeLog]
+    .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt))
+    .slice(0, 25);
+
+  const fieldCounts = {};
+  changeLog.forEach(entry => {
+    entry.changedFields.forEach(field => {
+      fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+    });
+  });
+
+  return {
+    totalRevisions: changeLog.length,
+    pagesRevised: new Set(changeLog.map(entry => entry.url)).size,
+    byField: fieldCounts,
+    recent: recent.map(entry => {
+      const item = contentByUrl.get(entry.url);
+      const body = entry.changes.body;
+      return {
+        title: item ? item.title : entry.title,
+        url: entry.url,
+        contentType: item ? item.contentType : null,
+        detectedAt: entry.detectedAt,
+        changedFields: entry.changedFields,
+        titleChange: entry.changes.title || null,
+        metaDescriptionChange: entry.changes.metaDescription || null,
+        linesAdded: body ? body.linesAdded : 0,
+        linesRemoved: body ? body.linesRemoved : 0
+      };
+    })
+  };
+}
+
+// What Hinge took down: 404s, redirects and pages dropped from the sitemap
+function gatherPulledContentData(removedContent) {
+  const byReason = {};
+  const byType = {};
+  const byMonth = {};
+  const topics = {};
+  const redirectTargets = {};
+
+  removedContent.forEach(item => {
+    byReason[item.removalReason] = (byReason[item.removalReason] || 0) + 1;
+    byType[item.contentType] = (byType[item.contentType] || 0) + 1;
+
+    const month = item.removedAt.substring(0, 7);
+    byMonth[month] = (byMonth[month] || 0) + 1;
+
+    const found = extractStrategicTopics(item, TOPIC_LEVEL, MIN_CONFIDENCE);
+    Object.values(found).flat().forEach(topic => {
+      topics[topic] = (topics[topic] || 0) + 1;
+    });
+
+    if (item.redirectTarget) {
+      redirectTargets[item.redirectTarget] = (redirectTargets[item.redirectTarget] || 0) + 1;
+    }
+  });
+
+  // How long pulled pages were live, from publish date (or first sighting) to removal
+  const lifespans = removedContent
+    .map(item => {
+      const start = item.publishDate ? parseISO(item.publishDate) : parseISO(item.firstSeen);
+      return Math.round((parseISO(item.removedAt) - start) / (1000 * 60 * 60 * 24));
+    })
+    .filter(days => Number.isFinite(days) && days >= 0)
+    .sort((a, b) => a - b);
+
+  return {
+    totalRemoved: removedContent.length,
+    byReason,
+    byContentType: Object.entries(byType)
+      .map(([contentType, count]) => ({ contentType, count }))
+      .sort((a, b) => b.count - a.count),
+    byMonth: Object.entries(byMonth)
+      .map(([month, count]) => ({ month, count }))
+      .sort((a, b) => a.month.localeCompare(b.month)),
+    topics: Object.entries(topics)
+      .map(([topic, count]) => ({ topic, count }))
+      .sort((a, b) => b.count - a.count),
+    redirectTargets: Object.entries(redirectTargets)
+      .map(([url, count]) => ({ url, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10),
+    medianLifespanDays: lifespans.length > 0 ? lifespans[Math.floor(lifespans.length / 2)] : null,
+    recent: [...removedContent]
+      .sort((a, b) => b.removedAt.localeCompare(a.removedAt))
+      .slice(0, 25)
+      .map(item => ({
+        title: item.title,
+        url: item.url,
+        contentType: item.contentType,
+        publishDate: item.publishDate,
+        removedAt: item.removedAt,
+        removalReason: item.removalReason,
+        redirectTarget: item.redirectTarget || null
+      }))
+  };
+}
+
+// What actually went live or disappeared since past scrapes, rather than inferring it from publish dates
+function gatherObservedTrend(content, pastStates) {
+  const liveNow = new Map(content.map(item => [item.url, item]));
+
+  return pastStates.map(({ days, run, data }) => {
+    const liveThen = new Map(liveContent(data).map(item => [item.url, item]));
+    const added = [...liveNow.values()].filter(item => !liveThen.has(item.url));
+    const dropped = [...liveThen.values()].filter(item => !liveNow.has(item.url));
+
+    const netByType = {};
+    added.forEach(item => {
+      netByType[item.contentType] = (netByType[item.contentType] || 0) + 1;
+    });
+    dropped.forEach(item => {
+      netByType[item.contentType] = (netByType[item.contentType] || 0) - 1;
+    });
+
+    return {
+      windowDays: days,
+      comparedTo: run.finishedAt,
+      runId: run.runId,
+      piecesThen: liveThen.size,
+      piecesNow: liveNow.size,
+      added: added.length,
+      dropped: dropped.length,
+      netByContentType: Object.entries(netByType)
+        .filter(([, net]) => net !== 0)
+        .map(([contentType, net]) => ({ contentType, net }))
+        .sort((a, b) => b.net - a.net),
+      addedPieces: added.slice(0, 10).map(item => ({ title: item.title, url: item.url, contentType: item.contentType })),
+      droppedPieces: dropped.slice(0, 10).map(item => ({ title: item.title, url: item.url, contentType: item.contentType }))
+    };
+  });
+}
+
 function generateTimeline(content) {
   const withDates = content.filter(c => c.publishDate);
   const byMonth = {};
 
   withDates.forEach(item => {
     try {
-      const date = parseISO(item.publishDate + 'T00:00:00');
+      const date = publishedOn(item);
       const monthKey = format(date, 'yyyy-MM');
 
       if (!byMonth[monthKey]) {
@@ -729,12 +1266,18 @@ function generateTimeline(content) {
 
 async function main() {
   try {
-    console.log('Loading data from hinge-content.json...');
-    const data = await loadData();
+    TOPIC_LEVEL = topicLevelFromArgs();
+    MIN_CONFIDENCE = minConfidenceFromArgs();
+    const storage = await openStorage();
+    console.log(`Loading data from ${storage.backend} storage...`);
+    const data = await loadDataset(storage);
     const content = data.content;
+    const changeLog = await storage.loadChanges();
+    const pastStates = await loadPastStates(storage);
+    await storage.close();
 
     console.log(`Processing ${content.length} pieces of content...`);
-    const intelligence = generateIntelligence(data, content);
+    const intelligence = generateIntelligence(data, content, changeLog, pastStates);
 
     console.log(`Writing intelligence data to ${OUTPUT_FILE}...`);
     await fs.writeFile(OUTPUT_FILE, JSON.stringify(intelligence, null, 2), 'utf8');
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Content Schema Migrations
+ *
+ * Upgrades datasets written under older schema versions (see hinge-schema.js) one step at a time.
+ * Storage runs migrateDataset() on every load, so old files and history snapshots are read
+ * as the current schema. Run this file directly to rewrite hinge-content.json and the
+ * backups/ copies on disk:
+ *
+ *   node hinge-migrations.js [file ...]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { SCHEMA_VERSION, assertValidDataset } = require('./hinge-schema');
+const { writeFileAtomic } = require('./hinge-history');
+
+// contentType values from hinge-monitor.js and early scrapers, mapped onto CONTENT_TYPES
+const LEGACY_CONTENT_TYPES = {
+  blog: 'article',
+  whitepaper: 'report-guide',
+  guide: 'report-guide',
+  ebook: 'report-guide',
+  report: 'report-guide',
+  study: 'report-guide'
+};
+
+const REPORT_KEYWORDS = ['report', 'state of', 'whitepaper', 'ebook', 'guide', 'study'];
+
+/**
+ * Whether a record's publishDate is really its sitemap lastmod: marked as such in dateSources,
+ * or - with no page source recorded - the same day as the stored lastmod. Dates from pages
+ * and from scrapers that never read the sitemap are left alone.
+ */
+function isSitemapPublishDate(record) {
+  const source = record.dateSources && record.dateSources.publishDate;
+  if (source) return source === 'sitemap';
+  return Boolean(record.sitemapLastmod) && String(record.sitemapLastmod).slice(0, 10) === record.publishDate;
+}
+
+// Each step upgrades a dataset from version - 1 to version
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Map legacy contentType values, replace updateDate with modifiedDate, default list fields',
+    migrate(data) {
+      data.content.forEach(record => {
+        if (LEGACY_CONTENT_TYPES[record.contentType]) {
+          record.contentType = LEGACY_CONTENT_TYPES[record.contentType];
+        } else if (record.contentType === 'for-organizations') {
+          // The scraper refines these by title; older files may hold the unrefined value
+          const text = `${record.title || ''} ${record.url || ''}`.toLowerCase();
+          record.contentType = REPORT_KEYWORDS.some(keyword => text.includes(keyword)) ? 'report-guide' : 'other';
+        }
+
+        if ('updateDate' in record) {
+          if (record.modifiedDate === undefined) record.modifiedDate = record.updateDate || null;
+          delete record.updateDate;
+        }
+
+        record.title = record.title || '';
+        record.categories = record.categories || [];
+        record.targetAudience = record.targetAudience || [];
+        if (typeof record.metaDescription !== 'string') record.metaDescription = '';
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Clear publishDate values copied from the sitemap lastmod (early sitemap scrapes stored it there)',
+    migrate(data) {
+      data.content.forEach(record => {
+        if (record.publishDate && isSitemapPublishDate(record)) record.publishDate = null;
+      });
+    }
+  }
+];
+
+/**
+ * Bring a dataset up to SCHEMA_VERSION in place. Returns the versions that were applied.
+ */
+function migrateDataset(data) {
+  const from = data.schemaVersion || 1;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Dataset has schemaVersion ${from}, newer than this code (${SCHEMA_VERSION}) - update the code`);
+  }
+
+  const applied = MIGRATIONS.filter(step => step.version > from && step.version <= SCHEMA_VERSION);
+  applied.forEach(step => {
+    step.migrate(data);
+    data.schemaVersion = step.version;
+  });
+  data.schemaVersion = SCHEMA_VERSION;
+
+  return applied.map(step => step.version);
+}
+
+/**
+ * Rewrite one JSON dataset file at the current schema version
+ */
+async function migrateFile(file) {
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  const from = data.schemaVersion || 1;
+  const applied = migrateDataset(data);
+
+  if (applied.length === 0) {
+    console.log(`  ${path.basename(file)}: already at v${SCHEMA_VERSION}`);
+    return;
+  }
+
+  assertValidDataset(data, path.basename(file));
+  await writeFileAtomic(file, JSON.stringify(data, null, 2), 'utf8');
+  console.log(`  ${path.basename(file)}: v${from} → v${SCHEMA_VERSION}`);
+}
+
+async function main() {
+  let files = process.argv.slice(2);
+
+  if (files.length === 0) {
+    files = [path.join(__dirname, 'hinge-content.json')];
+    const backupDir = path.join(__dirname, 'backups');
+    try {
+      const backups = await fs.readdir(backupDir);
+      backups.filter(name => name.endsWith('.json')).forEach(name => files.push(path.join(backupDir, name)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  console.log(`Migrating ${files.length} file(s) to schema v${SCHEMA_VERSION}...`);
+  for (const file of files) {
+    await migrateFile(file);
+  }
+  console.log('✓ Done');
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { MIGRATIONS, migrateDataset };
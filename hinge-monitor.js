@@ -19,6 +19,9 @@ const path = require('path');
 const puppeteer = require('puppeteer');
 const { format, parseISO, isAfter, subDays } = require('date-fns');
 const crypto = require('crypto');
+const { SCHEMA_VERSION, assertValidDataset } = require('./hinge-schema');
+const { migrateDataset } = require('./hinge-migrations');
+const { classifyContentType, determineAudience, extractDate } = require('./hinge-core');
 
 // Configuration
 let config;
@@ -70,12 +73,14 @@ function generateId(url) {
 }
 
 /**
- * Load previous data if it exists
+ * Load previous data if it exists, migrated to the current schema and validated
  */
 async function loadPreviousData() {
   try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    return JSON.parse(data);
+    const data = JSON.parse(await fs.readFile(DATA_FILE, 'utf8'));
+    migrateDataset(data);
+    assertValidDataset(data, path.basename(DATA_FILE));
+    return data;
   } catch (error) {
     if (error.code === 'ENOENT') {
       logger.info('No previous data file found. This appears to be the first run.');
@@ -152,79 +157,6 @@ async function checkRobotsTxt(url) {
   }
 }
 
-/**
- * Extract date from various formats
- */
-function extractDate(dateString) {
-  if (!dateString) return null;
-
-  try {
-    // Try to parse ISO format first
-    const date = parseISO(dateString);
-    if (date && !isNaN(date.getTime())) {
-      return format(date, 'yyyy-MM-dd');
-    }
-  } catch (error) {
-    // Ignore parsing errors
-  }
-
-  // Try to match common date patterns
-  const patterns = [
-    /(\d{4})-(\d{2})-(\d{2})/,  // 2024-01-06
-    /(\d{1,2})\/(\d{1,2})\/(\d{4})/,  // 1/6/2024
-    /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]* (\d{1,2}),? (\d{4})/i  // January 6, 2024
-  ];
-
-  for (const pattern of patterns) {
-    const match = dateString.match(pattern);
-    if (match) {
-      try {
-        const parsed = new Date(dateString);
-        if (!isNaN(parsed.getTime())) {
-          return format(parsed, 'yyyy-MM-dd');
-        }
-      } catch (error) {
-        continue;
-      }
-    }
-  }
-
-  return null;
-}
-
-/**
- * Determine content type from URL and metadata
- */
-function determineContentType(url, metadata = {}) {
-  const urlLower = url.toLowerCase();
-  const titleLower = (metadata.title || '').toLowerCase();
-
-  if (urlLower.includes('/blog/') || metadata.type === 'blog') return 'blog';
-  if (urlLower.includes('/case-stud') || titleLower.includes('case study')) return 'case-study';
-  if (urlLower.includes('/whitepaper') || titleLower.includes('whitepaper')) return 'whitepaper';
-  if (urlLower.includes('/guide') || titleLower.includes('guide')) return 'guide';
-  if (urlLower.includes('/video') || metadata.type === 'video') return 'video';
-  if (urlLower.includes('/webinar') || titleLower.includes('webinar')) return 'webinar';
-
-  return 'article';
-}
-
-/**
- * Determine target audience from content
- */
-function determineAudience(content) {
-  const text = (content.title + ' ' + content.metaDescription + ' ' + content.categories.join(' ')).toLowerCase();
-
-  const audiences = [];
-
-  if (text.match(/employer|workplace|hr|benefit/)) audiences.push('employers');
-  if (text.match(/member|patient|user/)) audiences.push('members');
-  if (text.match(/provider|clinician|doctor|physician|pt|physical therapist/)) audiences.push('providers');
-  if (text.match(/partner|integration|api/)) audiences.push('partners');
-
-  return audiences.length > 0 ? audiences : ['general'];
-}
-
 /**
  * Scrape content from a single page
  */
@@ -254,41 +186,43 @@ async function scrapePage(page, url) {
                        document.querySelector('meta[property="og:description"]');
       content.metaDescription = metaDesc?.getAttribute('content')?.trim() || '';
 
-      // Extract publish date from various sources
+      // Extract publish date from various sources, noting which one (labelled as the sitemap scraper labels them)
       const dateSelectors = [
-        'meta[property="article:published_time"]',
-        'meta[name="publish-date"]',
-        'meta[name="date"]',
-        'time[datetime]',
-        '.publish-date',
-        '.post-date',
-        '.article-date'
+        ['meta[property="article:published_time"]', 'meta:article:published_time'],
+        ['meta[name="publish-date"]', 'meta:publish-date'],
+        ['meta[name="date"]', 'meta:date'],
+        ['time[datetime]', 'time[datetime]'],
+        ['.publish-date', '.publish-date'],
+        ['.post-date', '.post-date'],
+        ['.article-date', '.article-date']
       ];
 
-      for (const selector of dateSelectors) {
+      for (const [selector, source] of dateSelectors) {
         const element = document.querySelector(selector);
         if (element) {
           content.publishDate = element.getAttribute('content') ||
                                element.getAttribute('datetime') ||
                                element.textContent?.trim();
+          content.publishDateSource = source;
           if (content.publishDate) break;
         }
       }
 
       // Extract update date
       const updateSelectors = [
-        'meta[property="article:modified_time"]',
-        'meta[name="last-modified"]',
-        '.update-date',
-        '.modified-date'
+        ['meta[property="article:modified_time"]', 'meta:article:modified_time'],
+        ['meta[name="last-modified"]', 'meta:last-modified'],
+        ['.update-date', '.update-date'],
+        ['.modified-date', '.modified-date']
       ];
 
-      for (const selector of updateSelectors) {
+      for (const [selector, source] of updateSelectors) {
         const element = document.querySelector(selector);
         if (element) {
           content.updateDate = element.getAttribute('content') ||
                               element.getAttribute('datetime') ||
                               element.textContent?.trim();
+          content.updateDateSource = source;
           if (content.updateDate) break;
         }
       }
@@ -585,13 +519,20 @@ async function scrapeContent() {
       const contentData = await scrapePage(page, url);
 
       if (contentData) {
+        const publishDate = extractDate(contentData.publishDate);
+        const modifiedDate = extractDate(contentData.updateDate);
         const content = {
           id: generateId(url),
           title: contentData.title,
           url: url,
-          publishDate: extractDate(contentData.publishDate),
-          updateDate: extractDate(contentData.updateDate),
-          contentType: determineContentType(url, contentData),
+          publishDate: publishDate,
+          modifiedDate: modifiedDate,
+          dateSources: {
+            publishDate: publishDate ? contentData.publishDateSource : null,
+            modifiedDate: modifiedDate ? contentData.updateDateSource : null,
+            sitemapLastmod: null
+          },
+          contentType: classifyContentType(url, contentData.title),
           categories: contentData.categories || [],
           metaDescription: contentData.metaDescription || '',
           targetAudience: [],
@@ -702,11 +643,13 @@ function generateSummary(content) {
  */
 async function saveData(content, summary) {
   const output = {
+    schemaVersion: SCHEMA_VERSION,
     lastUpdated: new Date().toISOString(),
     totalContent: content.length,
     content: content,
     summary: summary
   };
+  assertValidDataset(output, 'dataset - not saving');
 
   const jsonString = config.output.prettyPrint
     ? JSON.stringify(output, null, 2)
@@ -5,70 +5,28 @@
  * Generates a structured, executive-ready report
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { parseISO, format, subMonths, isAfter } = require('date-fns');
-
-const DATA_FILE = path.join(__dirname, 'hinge-content.json');
-
-// Strategic topic patterns
-const STRATEGIC_TOPICS = {
-  clinical: [
-    'chronic pain', 'back pain', 'knee pain', 'hip pain', 'shoulder pain', 'neck pain',
-    'behavioral health', 'mental health', 'pelvic health', 'pelvic floor',
-    'arthritis', 'sciatica', 'tendonitis', 'osteoarthritis',
-    'physical therapy', 'exercise therapy', 'pain management', 'pain relief',
-    'musculoskeletal', 'msk care', 'fall prevention', 'injury prevention'
-  ],
-  business: [
-    'employer', 'employers', 'cost savings', 'roi', 'return on investment',
-    'member engagement', 'employee engagement', 'utilization', 'outcomes',
-    'claims', 'medical claims', 'healthcare costs', 'total cost',
-    'productivity', 'absenteeism', 'presenteeism', 'disability',
-    'benefits', 'health plan', 'wellness program'
-  ],
-  technology: [
-    'digital health', 'digital msk', 'telehealth', 'telemedicine', 'virtual',
-    'ai', 'artificial intelligence', 'machine learning', 'computer vision',
-    'remote monitoring', 'wearable', 'sensor', 'motion tracking',
-    'app', 'mobile', 'platform', 'technology', 'enso', 'truemotion'
-  ],
-  market: [
-    'msk', 'value-based care', 'population health',
-    'clinical outcomes', 'patient outcomes', 'evidence-based',
-    'research', 'study', 'clinical study', 'white paper', 'report',
-    'partnership', 'integration', 'provider network'
-  ]
-};
-
-async function loadData() {
-  const data = await fs.readFile(DATA_FILE, 'utf8');
-  return JSON.parse(data);
-}
-
-function extractStrategicTopics(text) {
-  const textLower = text.toLowerCase();
-  const found = { clinical: [], business: [], technology: [], market: [] };
-
-  Object.entries(STRATEGIC_TOPICS).forEach(([category, patterns]) => {
-    patterns.forEach(pattern => {
-      if (textLower.includes(pattern)) {
-        found[category].push(pattern);
-      }
-    });
-  });
-
-  return found;
-}
+const {
+  AUDIENCES,
+  extractStrategicTopics,
+  mentionsKeyword,
+  reportedTopics,
+  topicLevelFromArgs,
+  emptyTopicMap,
+  splitByRecency,
+  loadDataset,
+  liveContent
+} = require('./hinge-core');
+
+// Taxonomy depth to roll topics up to (--level N, read in main), or null to report topics as matched
+let TOPIC_LEVEL = null;
 
 function gatherAllData(content) {
   // Topic analysis
-  const topicCounts = { clinical: {}, business: {}, technology: {}, market: {} };
-  const topicContent = { clinical: {}, business: {}, technology: {}, market: {} };
+  const topicCounts = emptyTopicMap();
+  const topicContent = emptyTopicMap();
 
   content.forEach(item => {
-    const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-    const topics = extractStrategicTopics(text);
+    const topics = extractStrategicTopics(item, TOPIC_LEVEL);
 
     Object.entries(topics).forEach(([category, foundTopics]) => {
       foundTopics.forEach(topic => {
@@ -81,28 +39,14 @@ function gatherAllData(content) {
 
   // Trending analysis
   const withDates = content.filter(c => c.publishDate);
-  const threeMonthsAgo = subMonths(new Date(), 3);
-  const recent = [];
-  const older = [];
-
-  withDates.forEach(item => {
-    try {
-      const date = parseISO(item.publishDate + 'T00:00:00');
-      if (isAfter(date, threeMonthsAgo)) {
-        recent.push(item);
-      } else {
-        older.push(item);
-      }
-    } catch (e) {}
-  });
+  const { recent, older } = splitByRecency(withDates);
 
   const getTrendingData = () => {
     const extractTopics = (items) => {
       const topics = {};
       const topicContent = {};
       items.forEach(item => {
-        const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-        const found = extractStrategicTopics(text);
+        const found = extractStrategicTopics(item, TOPIC_LEVEL);
         Object.entries(found).forEach(([category, foundTopics]) => {
           foundTopics.forEach(topic => {
             topics[topic] = (topics[topic] || 0) + 1;
@@ -155,10 +99,9 @@ function gatherAllData(content) {
   const trendingData = getTrendingData();
 
   // Audience analysis
-  const audiences = ['providers', 'employers', 'partners', 'members', 'general'];
   const audienceCounts = {};
 
-  audiences.forEach(aud => {
+  AUDIENCES.forEach(aud => {
     audienceCounts[aud] = content.filter(c => c.targetAudience.includes(aud)).length;
   });
 
@@ -186,7 +129,7 @@ function gatherAllData(content) {
 
   // Audience shifts
   const audienceShifts = {};
-  audiences.forEach(aud => {
+  AUDIENCES.forEach(aud => {
     const recentAud = recent.filter(c => c.targetAudience.includes(aud)).length;
     const olderAud = older.filter(c => c.targetAudience.includes(aud)).length;
 
@@ -297,7 +240,7 @@ function printStrategicPriorities(content, analytics) {
         const text = `${item.title} ${item.metaDescription}`.toLowerCase();
         if (text.includes('care') || text.includes('treatment') || text.includes('therapy')) aiSubtopics.care++;
         if (text.includes('outcome') || text.includes('results') || text.includes('improve')) aiSubtopics.outcomes++;
-        if (text.includes('cost') || text.includes('savings') || text.includes('roi')) aiSubtopics.cost++;
+        if (text.includes('cost') || text.includes('savings') || mentionsKeyword(text, 'roi')) aiSubtopics.cost++;
         if (text.includes('member') || text.includes('patient') || text.includes('experience')) aiSubtopics.member++;
         if (text.includes('personali') || text.includes('custom') || text.includes('tailored')) aiSubtopics.personalization++;
         if (text.includes('clinical') || text.includes('evidence') || text.includes('research')) aiSubtopics.clinical++;
@@ -327,8 +270,8 @@ function printStrategicPriorities(content, analytics) {
       t.content.forEach(item => {
         const text = `${item.title} ${item.metaDescription}`.toLowerCase();
         const title = item.title.toLowerCase();
-        if (text.includes('roi') || text.includes('cost') || text.includes('savings') || text.includes('employer')) mskTypes['Business value']++;
-        if (text.includes('platform') || text.includes('app') || text.includes('technology') || text.includes('digital')) mskTypes['Product features']++;
+        if (mentionsKeyword(text, 'roi') || text.includes('cost') || text.includes('savings') || text.includes('employer')) mskTypes['Business value']++;
+        if (text.includes('platform') || mentionsKeyword(text, 'app') || text.includes('technology') || text.includes('digital')) mskTypes['Product features']++;
         if (title.includes('exercise') || title.includes('treatment') || title.includes('how to')) mskTypes['Exercise/treatment']++;
         if (item.contentType === 'case-study' || text.includes('success')) mskTypes['Success stories']++;
         if (text.includes('study') || text.includes('research') || text.includes('evidence')) mskTypes['Research/evidence']++;
@@ -464,9 +407,9 @@ function printMessaging(analytics, content) {
     let tech = 0, outcomes = 0, cost = 0;
     aiContent.forEach(item => {
       const text = `${item.title} ${item.metaDescription}`.toLowerCase();
-      if (text.includes('technology') || text.includes('digital') || text.includes('ai')) tech++;
+      if (text.includes('technology') || text.includes('digital') || mentionsKeyword(text, 'ai')) tech++;
       if (text.includes('outcome') || text.includes('results') || text.includes('improve')) outcomes++;
-      if (text.includes('cost') || text.includes('savings') || text.includes('roi')) cost++;
+      if (text.includes('cost') || text.includes('savings') || mentionsKeyword(text, 'roi')) cost++;
     });
     const techPct = ((tech / aiContent.length) * 100).toFixed(0);
     const outPct = ((outcomes / aiContent.length) * 100).toFixed(0);
@@ -547,17 +490,15 @@ function printContentGaps(topicCounts) {
   console.log('Topics They DON\'T Cover:');
 
   const gaps = [];
-  Object.entries(STRATEGIC_TOPICS).forEach(([category, patterns]) => {
-    patterns.forEach(pattern => {
-      const count = topicCounts[category][pattern] || 0;
-      if (count === 0) {
-        let why = '';
-        if (pattern === 'member engagement') why = ' - Opportunity to own engagement narrative';
-        else if (pattern === 'value-based care') why = ' - Major market trend they\'re missing';
-        else if (pattern === 'telemedicine') why = ' - Broader digital health gap';
-        gaps.push({ topic: pattern, why });
-      }
-    });
+  reportedTopics(TOPIC_LEVEL).forEach(({ category, name }) => {
+    const count = topicCounts[category][name] || 0;
+    if (count === 0) {
+      let why = '';
+      if (name === 'member engagement') why = ' - Opportunity to own engagement narrative';
+      else if (name === 'value-based care') why = ' - Major market trend they\'re missing';
+      else if (name === 'telemedicine') why = ' - Broader digital health gap';
+      gaps.push({ topic: name, why });
+    }
   });
 
   gaps.slice(0, 10).forEach(g => {
@@ -567,13 +508,11 @@ function printContentGaps(topicCounts) {
   console.log('');
   console.log('Limited Coverage:');
   const limited = [];
-  Object.entries(STRATEGIC_TOPICS).forEach(([category, patterns]) => {
-    patterns.forEach(pattern => {
-      const count = topicCounts[category][pattern] || 0;
-      if (count > 0 && count < 5) {
-        limited.push({ topic: pattern, count });
-      }
-    });
+  reportedTopics(TOPIC_LEVEL).forEach(({ category, name, minCount }) => {
+    const count = topicCounts[category][name] || 0;
+    if (count > 0 && count < minCount) {
+      limited.push({ topic: name, count });
+    }
   });
 
   limited.slice(0, 5).forEach(l => {
@@ -633,8 +572,10 @@ function printKeyInsights(content, analytics) {
 
 async function main() {
   try {
-    const data = await loadData();
-    const content = data.content;
+    TOPIC_LEVEL = topicLevelFromArgs();
+    const data = await loadDataset();
+    // Pages Hinge has taken down are kept as tombstones; report on live content only
+    const content = liveContent(data);
     const analytics = gatherAllData(content);
     generateReport(data, content, analytics);
   } catch (error) {
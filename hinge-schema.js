@@ -0,0 +1,147 @@
+/**
+ * Content Record Schema
+ *
+ * The shape of hinge-content.json, versioned. Bump SCHEMA_VERSION whenever a change needs
+ * old files rewritten, and add the matching step to hinge-migrations.js.
+ *
+ * Version history:
+ *   1 - unversioned files (no schemaVersion field)
+ *   2 - schemaVersion stamped; contentType limited to CONTENT_TYPES; updateDate replaced by modifiedDate
+ *   3 - publishDate never holds the sitemap lastmod (values copied from it are cleared)
+ */
+
+const SCHEMA_VERSION = 3;
+
+// Every contentType a record may carry
+const CONTENT_TYPES = [
+  'article',
+  'case-study',
+  'press-release',
+  'glossary',
+  'support',
+  'webinar',
+  'report-guide',
+  'testimonial',
+  'acquisition',
+  'for-individuals',
+  'video',
+  'other'
+];
+
+// Field -> expected type(s). Required fields must be present; the rest are checked only when set.
+const RECORD_FIELDS = {
+  id: { type: 'string', required: true },
+  url: { type: 'string', required: true },
+  title: { type: 'string', required: true },
+  contentType: { type: 'string', required: true, oneOf: CONTENT_TYPES },
+  categories: { type: 'array', required: true },
+  targetAudience: { type: 'array', required: true },
+  metaDescription: { type: 'string' },
+  publishDate: { type: ['string', 'null'], pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  modifiedDate: { type: ['string', 'null'], pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  firstSeen: { type: ['string', 'null'] },
+  lastChecked: { type: ['string', 'null'] },
+  sourceUrls: { type: 'array' },
+  authors: { type: 'array' },
+  reviewers: { type: 'array' },
+  links: { type: 'array' },
+  ctas: { type: 'array' },
+  leadForms: { type: 'array' },
+  bodyText: { type: 'string' },
+  wordCount: { type: 'number' },
+  removed: { type: 'boolean' },
+  isNew: { type: 'boolean' }
+};
+
+// Fields that belong to older schema versions and must be migrated away
+const RETIRED_FIELDS = ['updateDate'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Problems with a single record (empty list = valid)
+ */
+function validateRecord(record) {
+  if (typeOf(record) !== 'object') return ['not an object'];
+
+  const problems = [];
+  Object.entries(RECORD_FIELDS).forEach(([field, rule]) => {
+    const value = record[field];
+    if (value === undefined) {
+      if (rule.required) problems.push(`missing ${field}`);
+      return;
+    }
+
+    const allowed = [].concat(rule.type);
+    if (!allowed.includes(typeOf(value))) {
+      problems.push(`${field} should be ${allowed.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      problems.push(`${field} "${value}" is not one of ${rule.oneOf.join(', ')}`);
+    }
+    if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+      problems.push(`${field} "${value}" is not in the expected format`);
+    }
+  });
+
+  RETIRED_FIELDS.forEach(field => {
+    if (field in record) problems.push(`${field} is retired - run the migrations`);
+  });
+
+  return problems;
+}
+
+/**
+ * Problems with a whole dataset, each prefixed with where it was found (empty list = valid)
+ */
+function validateDataset(data) {
+  if (typeOf(data) !== 'object') return ['not a JSON object'];
+  if (!Array.isArray(data.content)) return ['missing content array'];
+
+  const problems = [];
+  if (data.schemaVersion !== SCHEMA_VERSION) {
+    problems.push(`schemaVersion is ${data.schemaVersion === undefined ? 'missing' : data.schemaVersion}, expected ${SCHEMA_VERSION}`);
+  }
+  if (typeof data.totalContent === 'number' && data.totalContent !== data.content.length) {
+    problems.push(`totalContent says ${data.totalContent} but content has ${data.content.length} records`);
+  }
+
+  const ids = new Set();
+  data.content.forEach((record, index) => {
+    const where = record && record.url ? record.url : `content[${index}]`;
+    validateRecord(record).forEach(problem => problems.push(`${where}: ${problem}`));
+
+    if (record && record.id) {
+      if (ids.has(record.id)) problems.push(`${where}: duplicate id ${record.id}`);
+      ids.add(record.id);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Throw if the dataset doesn't match the schema; the message lists the first few problems
+ */
+function assertValidDataset(data, context = 'dataset') {
+  const problems = validateDataset(data);
+  if (problems.length === 0) return;
+
+  const shown = problems.slice(0, 5).map(problem => `  - ${problem}`).join('\n');
+  const more = problems.length > 5 ? `\n  ...and ${problems.length - 5} more` : '';
+  throw new Error(`Invalid ${context} (${problems.length} problems):\n${shown}${more}`);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  CONTENT_TYPES,
+  RECORD_FIELDS,
+  validateRecord,
+  validateDataset,
+  assertValidDataset
+};
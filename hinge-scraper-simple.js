@@ -6,11 +6,11 @@
  * Focuses on getting content from known sections without complex recursion
  */
 
-const fs = require('fs').promises;
 const path = require('path');
 const puppeteer = require('puppeteer');
-const { format } = require('date-fns');
 const crypto = require('crypto');
+const { openStorage } = require('./hinge-storage');
+const { determineAudience, extractDate } = require('./hinge-core');
 
 // Configuration
 const config = require('./config.json');
@@ -21,7 +21,7 @@ const SECTIONS = [
   { url: 'https://www.hingehealth.com/resources/articles/', name: 'Articles', type: 'article' },
   { url: 'https://www.hingehealth.com/resources/case-studies/', name: 'Case Studies', type: 'case-study' },
   { url: 'https://www.hingehealth.com/resources/webinars/', name: 'Webinars', type: 'webinar' },
-  { url: 'https://www.hingehealth.com/resources/eBooks/', name: 'eBooks', type: 'guide' },
+  { url: 'https://www.hingehealth.com/resources/eBooks/', name: 'eBooks', type: 'report-guide' },
 ];
 
 // Stats
@@ -35,6 +35,13 @@ const stats = {
 // Collected content
 let allContent = [];
 
+// Configured storage backend, opened on first use
+let storagePromise = null;
+function getStorage() {
+  if (!storagePromise) storagePromise = openStorage();
+  return storagePromise;
+}
+
 /**
  * Generate unique ID
  */
@@ -58,7 +65,8 @@ async function saveContent() {
     summary: generateSummary()
   };
 
-  await fs.writeFile(DATA_FILE, JSON.stringify(output, null, 2), 'utf8');
+  const storage = await getStorage();
+  await storage.saveDataset(output);
 }
 
 /**
@@ -88,39 +96,6 @@ function generateSummary() {
   return summary;
 }
 
-/**
- * Determine target audience
- */
-function determineAudience(content) {
-  const text = (content.title + ' ' + content.metaDescription + ' ' + content.categories.join(' ')).toLowerCase();
-  const audiences = [];
-
-  if (text.match(/employer|workplace|hr|benefit/)) audiences.push('employers');
-  if (text.match(/member|patient|user/)) audiences.push('members');
-  if (text.match(/provider|clinician|doctor|physician|pt|physical therapist/)) audiences.push('providers');
-  if (text.match(/partner|integration|api/)) audiences.push('partners');
-
-  return audiences.length > 0 ? audiences : ['general'];
-}
-
-/**
- * Extract date from string
- */
-function extractDate(dateString) {
-  if (!dateString) return null;
-
-  try {
-    const date = new Date(dateString);
-    if (date && !isNaN(date.getTime())) {
-      return format(date, 'yyyy-MM-dd');
-    }
-  } catch {
-    return null;
-  }
-
-  return null;
-}
-
 /**
  * Scrape a single article page
  */
@@ -145,21 +120,22 @@ async function scrapeArticle(page, url, contentType) {
                        document.querySelector('meta[property="og:description"]');
       content.metaDescription = metaDesc?.getAttribute('content')?.trim() || '';
 
-      // Publish date
+      // Publish date, and where it came from (labelled as the sitemap scraper labels them)
       const dateSelectors = [
-        'meta[property="article:published_time"]',
-        'meta[name="publish-date"]',
-        'time[datetime]',
-        '.publish-date',
-        '.post-date'
+        ['meta[property="article:published_time"]', 'meta:article:published_time'],
+        ['meta[name="publish-date"]', 'meta:publish-date'],
+        ['time[datetime]', 'time[datetime]'],
+        ['.publish-date', '.publish-date'],
+        ['.post-date', '.post-date']
       ];
 
-      for (const selector of dateSelectors) {
+      for (const [selector, source] of dateSelectors) {
         const element = document.querySelector(selector);
         if (element) {
           content.publishDate = element.getAttribute('content') ||
                                element.getAttribute('datetime') ||
                                element.textContent?.trim();
+          content.publishDateSource = source;
           if (content.publishDate) break;
         }
       }
@@ -198,12 +174,18 @@ async function scrapeArticle(page, url, contentType) {
       return content;
     });
 
+    const publishDate = extractDate(data.publishDate);
     const content = {
       id: generateId(url),
       title: data.title,
       url: url,
-      publishDate: extractDate(data.publishDate),
-      updateDate: null,
+      publishDate: publishDate,
+      modifiedDate: null,
+      dateSources: {
+        publishDate: publishDate ? data.publishDateSource : null,
+        modifiedDate: null,
+        sitemapLastmod: null
+      },
       contentType: contentType,
       categories: data.categories || [],
       metaDescription: data.metaDescription || '',
@@ -11,16 +11,26 @@ const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { format } = require('date-fns');
 const crypto = require('crypto');
+const robotsParser = require('robots-parser');
+const zlib = require('zlib');
+const { createRunId, writeFileAtomic } = require('./hinge-history');
+const { openStorage } = require('./hinge-storage');
+const { SCHEMA_VERSION } = require('./hinge-schema');
+const { determineContentType, classifyContentType, determineAudience, extractDate } = require('./hinge-core');
 
 // Configuration
 const config = require('./config.json');
 const DATA_FILE = path.join(__dirname, 'hinge-content.json');
+const WORK_QUEUE_FILE = path.join(__dirname, 'scrape-queue.json');
 
 // Parse command-line flags
 const args = process.argv.slice(2);
-const FORCE_RESCRAPE = args.includes('--full') || args.includes('--force');
+const RESUME = args.includes('--resume');
+const RETRY_FAILED = args.includes('--retry-failed');
+// Resumed runs take their mode from the saved queue instead
+let FORCE_RESCRAPE = args.includes('--full') || args.includes('--force');
+let REFRESH = !FORCE_RESCRAPE && args.includes('--refresh');
 
 // Stats
 const stats = {
@@ -28,12 +38,26 @@ const stats = {
   successful: 0,
   failed: 0,
   failedUrls: [],
-  skipped: 0
+  skipped: 0,
+  notModified: 0,
+  changed: 0,
+  removed: 0,
+  robotsExcluded: 0,
+  sitemapFailures: 0
 };
 
 // Collected content
 let allContent = [];
-let existingContent = new Map(); // URL -> content mapping
+let existingContent = new Map(); // normalized URL (and each source URL) -> content mapping
+let pendingChanges = []; // change-log entries not yet written to storage
+let existingMerged = false; // true once main() has folded unscraped existing records into allContent
+
+// Configured storage backend, opened on first use
+let storagePromise = null;
+function getStorage() {
+  if (!storagePromise) storagePromise = openStorage();
+  return storagePromise;
+}
 
 // Create axios instance with proper headers
 const httpClient = axios.create({
@@ -48,63 +72,415 @@ const httpClient = axios.create({
 });
 
 /**
- * Load existing content from file
+ * Load existing content from storage. Deliberately not caught: starting fresh on top of a
+ * corrupt file would report every known page as new.
  */
 async function loadExistingContent() {
-  try {
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    const parsed = JSON.parse(data);
+  const storage = await getStorage();
+  const parsed = await storage.loadDataset();
 
-    if (parsed.content && Array.isArray(parsed.content)) {
-      parsed.content.forEach(item => {
-        existingContent.set(item.url, item);
-      });
-      console.log(`Loaded ${existingContent.size} existing URLs from previous scrape`);
-    }
-  } catch (error) {
+  if (parsed) {
+    parsed.content.forEach(item => {
+      recordUrls(item).forEach(url => existingContent.set(url, item));
+    });
+    console.log(`Loaded ${parsed.content.length} existing records (${existingContent.size} URLs) from previous scrape`);
+  } else {
     console.log('No existing content file found - starting fresh scrape');
   }
 }
 
 /**
- * Generate unique ID
+ * Generate unique ID (pass a normalized URL so variants of a page share it)
  */
 function generateId(url) {
   return crypto.createHash('md5').update(url).digest('hex').substring(0, 16);
 }
 
+/**
+ * Normalize a URL so trivial variants map to one record: no query or fragment,
+ * single slashes and a trailing slash on page paths. Returns null if unparseable.
+ */
+function normalizeUrl(rawUrl, base) {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl, base);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+
+  parsed.search = '';
+  parsed.hash = '';
+  parsed.pathname = parsed.pathname.replace(/\/{2,}/g, '/');
+
+  // Hinge page URLs end in a slash; leave file paths like /foo.pdf alone
+  const lastSegment = parsed.pathname.split('/').pop();
+  if (lastSegment && !lastSegment.includes('.')) {
+    parsed.pathname += '/';
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Every normalized URL a record answers to: its own plus the sitemap URLs that resolved to it
+ */
+function recordUrls(record) {
+  const urls = [record.url, ...(record.sourceUrls || [])].map(url => normalizeUrl(url)).filter(Boolean);
+  return [...new Set(urls)];
+}
+
+/**
+ * Merge two records for the same page. The live, most recently checked one supplies
+ * the data; the merged record keeps the earliest firstSeen and all source URLs.
+ */
+function mergeRecords(a, b) {
+  let primary = b;
+  let secondary = a;
+  if (a.removed !== b.removed) {
+    primary = a.removed ? b : a;
+  } else if ((a.lastChecked || '') > (b.lastChecked || '')) {
+    primary = a;
+  }
+  if (primary === a) secondary = b;
+
+  const firstSeen = [a.firstSeen, b.firstSeen].filter(Boolean).sort()[0] || null;
+
+  return {
+    ...secondary,
+    ...primary,
+    sourceUrls: [...new Set([...recordUrls(secondary), ...recordUrls(primary)])],
+    firstSeen,
+    isNew: Boolean(a.isNew && b.isNew)
+  };
+}
+
+/**
+ * Collapse records that share an ID or any URL into one record per page
+ */
+function dedupeRecords(records) {
+  const byId = new Map();
+  const idByUrl = new Map();
+
+  records.forEach(record => {
+    const urls = recordUrls(record);
+    const matchId = [record.id, ...urls.map(url => idByUrl.get(url))].find(id => id && byId.has(id));
+
+    let merged = record;
+    if (matchId) {
+      merged = mergeRecords(byId.get(matchId), record);
+      byId.delete(matchId);
+    }
+
+    byId.set(merged.id, merged);
+    recordUrls(merged).forEach(url => idByUrl.set(url, merged.id));
+  });
+
+  return [...byId.values()];
+}
+
 /**
  * Sleep utility
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Token bucket rate limiter - refills at a steady rate, allows short bursts
+ */
+class TokenBucket {
+  constructor(ratePerSecond, capacity = 1) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  async take() {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      await sleep(waitMs);
+    }
+  }
+}
+
+// One bucket per host, so total request rate to a host follows config.json: one request per
+// delayBetweenRequests ms, however many workers share it
+const rateLimiters = new Map();
+
+function getRateLimiter(url) {
+  const host = new URL(url).host;
+  if (!rateLimiters.has(host)) {
+    const ratePerSecond = 1000 / (config.scraping.delayBetweenRequests || 1000);
+    rateLimiters.set(host, new TokenBucket(ratePerSecond, config.scraping.burstSize || 1));
+  }
+  return rateLimiters.get(host);
+}
+
+/**
+ * Rate-limited GET request
+ */
+async function fetchUrl(url, options = {}) {
+  await getRateLimiter(url).take();
+  return httpClient.get(url, options);
+}
+
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Whether a failed request is worth retrying (429, 5xx, timeouts, dropped connections)
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    const status = error.response.status;
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+  return null;
+}
+
+/**
+ * Exponential backoff with full jitter, overridden by the server's Retry-After
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return Math.min(retryAfter, MAX_RETRY_DELAY);
+
+  const baseDelay = config.scraping.retryBaseDelay || 1000;
+  const backoff = Math.min(baseDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * GET with retries - resolves to { response, attempts }.
+ * Errors are tagged with `attempts` and `permanent` (true when retrying would not help).
+ */
+async function fetchWithRetry(url, options = {}) {
+  const maxRetries = config.scraping.maxRetries || 0;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetchUrl(url, options);
+      return { response, attempts: attempt };
+    } catch (error) {
+      error.attempts = attempt;
+      error.permanent = !isRetryableError(error);
+
+      if (error.permanent || attempt > maxRetries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+      console.log(`  ↻ Retry ${attempt}/${maxRetries} for ${url} in ${delay}ms (${reason})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Run handler over items with a bounded number of concurrent workers
+ */
+async function runWorkerPool(items, workerCount, handler) {
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await handler(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(workerCount, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+}
+
+// Serialize saves so overlapping checkpoints from different workers never interleave
+let saveQueue = Promise.resolve();
+
+function queueSave(workQueue = null) {
+  saveQueue = saveQueue.then(async () => {
+    // Take the queue's statuses before saving content, so every URL marked done is in the saved data
+    const statuses = workQueue ? workQueue.items.map(item => item.status) : null;
+    await saveContent();
+    if (workQueue) await saveWorkQueue(workQueue, statuses);
+  });
+  return saveQueue;
+}
+
 /**
  * Save content incrementally
  */
 async function saveContent() {
-  const output = {
+  const storage = await getStorage();
+  await storage.saveDataset(buildDataset());
+  await appendChangeLog();
+}
+
+/**
+ * The dataset as written to storage
+ */
+function buildDataset() {
+  // Canonical/redirect resolution can land two sitemap URLs on the same page
+  allContent = dedupeRecords(allContent);
+
+  // Mid-run checkpoints carry the records we haven't got to yet, so a crash loses nothing
+  let content = allContent;
+  if (!existingMerged) {
+    const covered = new Set(allContent.flatMap(recordUrls));
+    const pending = [...new Set(existingContent.values())]
+      .filter(item => !recordUrls(item).some(url => covered.has(url)));
+    content = allContent.concat(pending);
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
     lastUpdated: new Date().toISOString(),
-    totalContent: allContent.length,
-    content: allContent,
-    summary: generateSummary()
+    totalContent: content.length,
+    content: content,
+    summary: generateSummary(content)
+  };
+}
+
+function runMode() {
+  return FORCE_RESCRAPE ? 'full' : (REFRESH ? 'refresh' : 'incremental');
+}
+
+/**
+ * Load the saved work queue of the last run, or null if there isn't one
+ */
+async function loadWorkQueue() {
+  try {
+    return JSON.parse(await fs.readFile(WORK_QUEUE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Ready a saved queue to run again. Returns how many failed URLs were put back to pending
+ * (only with retryFailed), or null when a finished run has nothing left to resume.
+ */
+function resumeQueue(queue, retryFailed) {
+  if (!retryFailed) return queue.finished ? null : 0;
+
+  const failed = queue.items.filter(item => item.status === 'failed');
+  failed.forEach(item => {
+    item.status = 'pending';
+    delete item.error;
+  });
+  return failed.length;
+}
+
+/**
+ * Persist the work queue with each URL's status (pending, done or failed)
+ */
+async function saveWorkQueue(queue, statuses = queue.items.map(item => item.status)) {
+  const saved = {
+    ...queue,
+    updatedAt: new Date().toISOString(),
+    finished: !statuses.includes('pending'),
+    items: queue.items.map((item, index) => ({ ...item, status: statuses[index] }))
+  };
+  await writeFileAtomic(WORK_QUEUE_FILE, JSON.stringify(saved, null, 2), 'utf8');
+}
+
+/**
+ * Snapshot this run's dataset with a manifest into the history store (output.backupOldData)
+ */
+async function recordRun(startedAt, queue) {
+  if (!config.output.backupOldData) return;
+
+  const finishedAt = new Date();
+  const manifest = {
+    runId: createRunId(startedAt),
+    mode: runMode(),
+    resumeOf: queue.runId !== createRunId(startedAt) ? queue.runId : null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    counts: {
+      attempted: stats.total,
+      successful: stats.successful,
+      notModified: stats.notModified,
+      changed: stats.changed,
+      removed: stats.removed,
+      skipped: stats.skipped,
+      failed: stats.failed,
+      robotsExcluded: stats.robotsExcluded,
+      totalContent: allContent.length,
+      newContent: allContent.filter(item => item.isNew).length
+    },
+    failures: stats.failedUrls
   };
 
-  await fs.writeFile(DATA_FILE, JSON.stringify(output, null, 2), 'utf8');
+  try {
+    const storage = await getStorage();
+    await storage.recordRun(buildDataset(), manifest);
+    console.log(`Snapshot saved for run ${manifest.runId} (${storage.backend} storage)`);
+  } catch (error) {
+    // History is a nice-to-have; never fail the scrape over it
+    console.error(`  ✗ Could not write history snapshot: ${error.message}`);
+  }
+}
+
+/**
+ * Hand pending change-log entries to storage
+ */
+async function appendChangeLog() {
+  if (pendingChanges.length === 0) return;
+
+  const entries = pendingChanges;
+  pendingChanges = [];
+
+  const storage = await getStorage();
+  await storage.appendChanges(entries);
 }
 
 /**
  * Generate summary
  */
-function generateSummary() {
+function generateSummary(content = allContent) {
   const summary = {
-    totalContent: allContent.length,
-    newContentCount: allContent.filter(item => item.isNew).length,
+    totalContent: content.length,
+    newContentCount: content.filter(item => item.isNew).length,
+    removedCount: content.filter(item => item.removed).length,
     contentByType: {},
     contentByAudience: {},
     topCategories: {}
   };
 
-  allContent.forEach(item => {
+  content.filter(item => !item.removed).forEach(item => {
     summary.contentByType[item.contentType] = (summary.contentByType[item.contentType] || 0) + 1;
 
     item.targetAudience.forEach(audience => {
@@ -119,142 +495,995 @@ function generateSummary() {
   return summary;
 }
 
+// Parsed robots.txt, fetched once per run
+let robotsTxt = null;
+
 /**
- * Determine content type from URL (will be refined by title later)
+ * Fetch and cache robots.txt for the target site. Its Crawl-delay is applied to the rate limiter
+ * only with respectRobotsTxt on; otherwise robots.txt is read just for its Sitemap: lines.
  */
-function determineContentType(url) {
-  if (url.includes('/articles/')) return 'article';
-  if (url.includes('/case-studies/')) return 'case-study';
-  if (url.includes('/press-releases/')) return 'press-release';
-  if (url.includes('/glossary/')) return 'glossary';
-  if (url.includes('/support/')) return 'support';
-  if (url.includes('/webinars/') || url.includes('-webinar/')) return 'webinar';
-  if (url.includes('/whitepapers/')) return 'report-guide'; // Whitepapers are reports/guides
-  if (url.includes('/testimonials/')) return 'testimonial';
-  if (url.includes('/for-organizations/')) return 'for-organizations'; // Will be refined
-  if (url.includes('/acquisition/')) return 'acquisition';
-  if (url.includes('/for-individuals/')) return 'for-individuals';
-  return 'other';
+async function loadRobotsTxt() {
+  if (robotsTxt) return robotsTxt;
+
+  const robotsUrl = new URL('/robots.txt', config.targetUrl).toString();
+  const userAgent = config.scraping.robotsUserAgent || 'HingeMonitor';
+
+  try {
+    const { response } = await fetchWithRetry(robotsUrl, { responseType: 'text' });
+    robotsTxt = {
+      parser: robotsParser(robotsUrl, response.data),
+      lines: String(response.data).split(/\r?\n/),
+      userAgent
+    };
+  } catch (error) {
+    // A missing robots.txt means everything is allowed; anything else we proceed with caution
+    if (error.response?.status !== 404) {
+      console.warn(`Could not fetch robots.txt (${error.message}) - proceeding without it`);
+    }
+    robotsTxt = { parser: robotsParser(robotsUrl, ''), lines: [], userAgent };
+  }
+
+  const crawlDelay = config.scraping.respectRobotsTxt && robotsTxt.parser.getCrawlDelay(userAgent);
+  if (crawlDelay) {
+    const limiter = getRateLimiter(robotsUrl);
+    limiter.ratePerSecond = Math.min(limiter.ratePerSecond, 1 / crawlDelay);
+    limiter.capacity = 1;
+    limiter.tokens = Math.min(limiter.tokens, 1);
+    console.log(`robots.txt Crawl-delay: ${crawlDelay}s (rate limited to ${limiter.ratePerSecond.toFixed(2)} req/s)`);
+  }
+
+  return robotsTxt;
 }
 
 /**
- * Determine if content is a report/guide based on title and URL
+ * Drop URLs disallowed by robots.txt, reporting the rule that excluded them
  */
-function isReportOrGuide(title, url) {
-  const titleLower = (title || '').toLowerCase();
-  const urlLower = (url || '').toLowerCase();
+async function filterByRobotsTxt(urlsWithDates) {
+  if (!config.scraping.respectRobotsTxt) {
+    console.log('Skipping robots.txt check (disabled in config)');
+    return urlsWithDates;
+  }
 
-  const keywords = ['report', 'state of', 'whitepaper', 'ebook', 'guide', 'study'];
+  const robots = await loadRobotsTxt();
+  const excludedByRule = {};
 
-  return keywords.some(keyword =>
-    titleLower.includes(keyword) || urlLower.includes(keyword)
-  );
+  const allowed = urlsWithDates.filter(item => {
+    // isAllowed() returns undefined for URLs on other hosts - those aren't ours to judge
+    if (robots.parser.isAllowed(item.url, robots.userAgent) !== false) return true;
+
+    const lineNumber = robots.parser.getMatchingLineNumber(item.url, robots.userAgent);
+    const rule = lineNumber > 0 ? `${robots.lines[lineNumber - 1].trim()} (line ${lineNumber})` : 'unknown rule';
+    excludedByRule[rule] = (excludedByRule[rule] || 0) + 1;
+    return false;
+  });
+
+  stats.robotsExcluded = urlsWithDates.length - allowed.length;
+
+  if (stats.robotsExcluded > 0) {
+    console.log(`\nExcluded ${stats.robotsExcluded} URLs disallowed by robots.txt:`);
+    Object.entries(excludedByRule)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([rule, count]) => {
+        console.log(`  ${rule.padEnd(40)}: ${count}`);
+      });
+  } else {
+    console.log('robots.txt check passed - no URLs excluded');
+  }
+
+  return allowed;
+}
+
+/**
+ * Whether robots.txt lets us fetch a single URL (always true when the check is disabled)
+ */
+function isAllowedByRobots(url) {
+  if (!config.scraping.respectRobotsTxt || !robotsTxt) return true;
+  return robotsTxt.parser.isAllowed(url, robotsTxt.userAgent) !== false;
+}
+
+/**
+ * Normalize text before hashing so whitespace-only edits don't count as changes
+ */
+function normalizeForHash(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function hashText(text) {
+  return crypto.createHash('md5').update(normalizeForHash(text)).digest('hex');
+}
+
+/**
+ * Title, meta description and body fingerprints for change detection
+ */
+function computeFingerprints(item) {
+  return {
+    title: hashText(item.title),
+    meta: hashText(item.metaDescription),
+    body: typeof item.bodyText === 'string' ? hashText(item.bodyText) : null
+  };
+}
+
+/**
+ * Unified diff of two texts, line by line (LCS), with 3 lines of context
+ */
+function createUnifiedDiff(oldText, newText, oldLabel = 'previous', newLabel = 'current') {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+  const context = 3;
+
+  // LCS table from the end so we can walk forwards
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Edit script: [' ', line] / ['-', line] / ['+', line] with positions in both texts
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i], oldIndex: i++, newIndex: j++ });
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: '-', line: a[i], oldIndex: i++, newIndex: j });
+    } else {
+      ops.push({ type: '+', line: b[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+
+  // Group changes into hunks with surrounding context
+  const hunks = [];
+  let current = null;
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    if (current && start <= current.end) {
+      current.end = Math.min(ops.length, index + context + 1);
+    } else {
+      current = { start, end: Math.min(ops.length, index + context + 1) };
+      hunks.push(current);
+    }
+  });
+
+  let added = 0;
+  let removed = 0;
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+  hunks.forEach(hunk => {
+    const slice = ops.slice(hunk.start, hunk.end);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = slice[0].oldIndex + (oldCount > 0 ? 1 : 0);
+    const newStart = slice[0].newIndex + (newCount > 0 ? 1 : 0);
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => {
+      if (op.type === '+') added++;
+      if (op.type === '-') removed++;
+      lines.push(`${op.type}${op.line}`);
+    });
+  });
+
+  return { diff: hunks.length > 0 ? lines.join('\n') : '', added, removed };
 }
 
 /**
- * Determine target audience
+ * Compare a re-scraped record against the stored one; returns a change-log entry or null
  */
-function determineAudience(content) {
-  const text = (content.title + ' ' + content.metaDescription + ' ' + content.categories.join(' ')).toLowerCase();
-  const url = content.url.toLowerCase();
-  const audiences = [];
+function detectContentChanges(existing, content) {
+  const before = existing.fingerprints || computeFingerprints(existing);
+  const after = content.fingerprints;
+  const changes = {};
 
-  // HEALTH PLAN CONTENT - Payers, insurance, health plans
-  const healthPlanPatterns = /\b(health plan|payer|insurance|cigna|aetna|anthem|humana|united healthcare|bcbs|blue cross|value.based care|population health|medical spend|health system|healthcare system|integrated care|care coordination)/;
-  if (text.match(healthPlanPatterns) || url.includes('/health-plans') || url.includes('/payers')) {
-    audiences.push('health plans');
+  if (before.title !== after.title) {
+    changes.title = { old: existing.title, new: content.title };
+  }
+  if (before.meta !== after.meta) {
+    changes.metaDescription = { old: existing.metaDescription, new: content.metaDescription };
   }
+  // Records scraped before body extraction have nothing to compare against
+  if (before.body && after.body && before.body !== after.body) {
+    const { diff, added, removed } = createUnifiedDiff(existing.bodyText, content.bodyText);
+    changes.body = { oldHash: before.body, newHash: after.body, diff, linesAdded: added, linesRemoved: removed };
+  }
+
+  if (Object.keys(changes).length === 0) return null;
+
+  return {
+    id: content.id,
+    url: content.url,
+    title: content.title,
+    detectedAt: new Date().toISOString(),
+    changedFields: Object.keys(changes),
+    changes
+  };
+}
 
-  // EMPLOYER CONTENT - Workplace, HR, employee benefits
-  const employerPatterns = /\b(employer|workplace|hr\b|benefits? leader|cost saving|reduces cost|roi\b|return on investment|total cost|claims|absenteeism|employee (engagement|well.?being|wellness|health program)|workforce|total rewards|beloved benefit|employee.focused|lower cost.*productivity|engagement.*cost)/;
-  // Case studies, whitepapers, reports, guides are B2B (employer or health plan)
-  const isB2BContent = ['case-study', 'whitepaper', 'report-guide'].includes(content.contentType);
+// Containers that usually hold the article body, most specific first
+const BODY_CONTAINER_SELECTORS = [
+  'article',
+  '[itemprop="articleBody"]',
+  '.article-body',
+  '.post-content',
+  '.rich-text',
+  'main',
+  '[role="main"]',
+  'body'
+];
+
+// Page chrome and conversion boilerplate stripped before reading the body
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[aria-hidden="true"]',
+  '[class*="cta" i]', '[class*="newsletter" i]', '[class*="subscribe" i]',
+  '[class*="banner" i]', '[class*="cookie" i]', '[class*="breadcrumb" i]',
+  '[class*="share" i]', '[class*="related" i]', '[class*="modal" i]'
+].join(', ');
+
+const BLOCK_SELECTORS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, figcaption, td, th, dt, dd, pre';
 
-  if (text.match(employerPatterns) || url.includes('/employers')) {
-    audiences.push('employers');
-  } else if (isB2BContent && !audiences.includes('health plans')) {
-    // If it's B2B content but not health plan, default to employer
-    audiences.push('employers');
+/**
+ * Extract the main body as clean text plus an h2-h4 heading outline
+ */
+function extractBodyContent($) {
+  // Pick the first container that actually holds a meaningful amount of text
+  let container = null;
+  for (const selector of BODY_CONTAINER_SELECTORS) {
+    const candidate = $(selector).first();
+    if (candidate.length && candidate.text().trim().length > 200) {
+      container = candidate;
+      break;
+    }
   }
+  if (!container) container = $('body');
+
+  const body = container.clone();
+  body.find(BOILERPLATE_SELECTORS).remove();
+
+  const headings = [];
+  body.find('h2, h3, h4').each((i, el) => {
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text) {
+      headings.push({ level: parseInt(el.tagName.substring(1), 10), text });
+    }
+  });
 
-  // PROVIDER CONTENT - For clinicians/PTs (very specific patterns)
-  const providerPatterns = /(for providers|for clinicians|provider network|provider portal|clinical guidelines|join our team|provider resources|provider integration|hingeselect|provider benefit|providers benefit|for physical therapist|clinician dashboard)/;
-  if (text.match(providerPatterns) || url.includes('/for-providers')) {
-    audiences.push('providers');
+  // Break lines at block boundaries so paragraphs don't run together
+  body.find(BLOCK_SELECTORS).each((i, el) => {
+    $(el).append('\n');
+  });
+  body.find('br').replaceWith('\n');
+
+  const bodyText = body.text()
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+
+  return {
+    bodyText,
+    headings,
+    wordCount: bodyText ? bodyText.split(/\s+/).length : 0
+  };
+}
+
+/**
+ * Internal links with anchor text - site chrome (nav, header, footer) excluded, CTAs kept
+ */
+function extractInternalLinks($, pageUrl) {
+  const page = new URL(pageUrl);
+  const body = $('body').clone();
+  body.find('nav, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]').remove();
+
+  const links = [];
+  const seen = new Set();
+
+  body.find('a[href]').each((i, el) => {
+    let target;
+    try {
+      target = new URL($(el).attr('href'), pageUrl);
+    } catch {
+      return;
+    }
+
+    if (target.host !== page.host || !/^https?:$/.test(target.protocol)) return;
+    target.hash = '';
+
+    const url = target.toString();
+    if (url === page.toString() || seen.has(url)) return;
+    seen.add(url);
+
+    links.push({
+      url,
+      text: $(el).text().replace(/\s+/g, ' ').trim() || $(el).attr('aria-label') || ''
+    });
+  });
+
+  return links;
+}
+
+// Call-to-action classes, checked in order - the first match wins
+const CTA_PATTERNS = [
+  {
+    type: 'demo-request',
+    text: /\b(request|schedule|book|get|see|watch) (a |the |our )?demo\b/i,
+    href: /demo/i
+  },
+  {
+    type: 'check-eligibility',
+    text: /eligib|check (your |my )?coverage|see if (you('re| are)|your (company|employer)) |am i covered|get started for free|join (for )?free/i,
+    href: /eligib|\/start\b|\/signup|\/sign-up|\/enroll/i
+  },
+  {
+    type: 'talk-to-sales',
+    text: /talk to (sales|us|our team|an expert)|contact (sales|us)|speak (with|to) (sales|us|our team|an expert)|get in touch|let's talk/i,
+    href: /\/contact|\/talk-to|sales/i
+  },
+  {
+    type: 'download-app',
+    text: /download (the |our )?app|get the app|app store|google play/i,
+    href: /apps\.apple\.com|play\.google\.com|onelink|app\.link/i
+  },
+  {
+    type: 'gated-form',
+    text: /download (now|the (report|guide|whitepaper|ebook|e-book)|our (report|guide|whitepaper|ebook))|get (the|your|our) (free )?(report|guide|whitepaper|ebook|e-book|copy)|access (the )?(report|guide|webinar)|register (now|today)?$|watch (now|on.demand)|save (my|your) (seat|spot)/i,
+    href: /hubspot|hsforms|marketo|mktoweb|\/lp\/|pardot/i
   }
+];
 
-  // MEMBER CONTENT - Individuals, diagnoses, symptoms, pain, health education
-  const memberPatterns = /(how to|your (care|treatment|exercises|sleep|pain|body|health|knee|back|shoulder|hip|neck)|message your|use the app|exercises for|symptoms? of|symptom|treatment for|living with|managing (your|headache|pain)|self-care|pain relief|member|patient|individual|patient guide|for you|download.{0,10}app|definition and what it is|enso|kegel|pelvic|pain relief device|improving your|managing your|sleep position|pain cycle|bladder habit|breathing exercise|mindfulness|yoga|stretching|warm.up|nutrition|veggie|walking program|lifting|pregnancy|caregiver|tired of pain|breaking the|food for|tips for|ways to|strategies for your|rethink your pain|chronic pain|belly band|incontinence|water intake|stairs and|tennis player|fall leaves|beginner|full.body|resistance|portion|daily walking|diagnosis|diagnose|condition|injury|ache|aching|sore|arthritis|sciatica|tendonitis|fracture|sprain|strain|inflammation|therapy for|relief for|cope with|deal with)/;
-  // Glossary, support, and for-individuals are always for members
-  if (text.match(memberPatterns) || url.includes('/members') || url.includes('/for-individuals') ||
-      content.contentType === 'support' || content.contentType === 'glossary' ||
-      content.contentType === 'for-individuals') {
-    audiences.push('members');
+/**
+ * Classify a link or button as a call to action, or return null
+ */
+function classifyCta(text, href) {
+  for (const { type, text: textPattern } of CTA_PATTERNS) {
+    if (textPattern.test(text)) return type;
+  }
+  // Fall back to the target only for short, button-like labels
+  if (text.split(/\s+/).length <= 6) {
+    for (const { type, href: hrefPattern } of CTA_PATTERNS) {
+      if (hrefPattern.test(href)) return type;
+    }
   }
+  return null;
+}
+
+/**
+ * Calls to action on the page with their target URLs - site-wide nav/header/footer CTAs excluded
+ */
+function extractCtas($, pageUrl) {
+  const body = $('body').clone();
+  body.find('nav, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]').remove();
+
+  const ctas = [];
+  const seen = new Set();
+
+  body.find('a[href], button').each((i, el) => {
+    const $el = $(el);
+    const text = ($el.text().replace(/\s+/g, ' ').trim() || $el.attr('aria-label') || '').substring(0, 120);
+    const rawHref = $el.attr('href') || $el.closest('form').attr('action') || '';
+    if (!text) return;
+
+    let url = null;
+    try {
+      url = rawHref ? new URL(rawHref, pageUrl).toString() : null;
+    } catch {
+      url = null;
+    }
+
+    const type = classifyCta(text, url || '');
+    if (!type) return;
+
+    const key = `${type}|${url}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    ctas.push({ type, text, url });
+  });
+
+  return ctas;
+}
 
-  // PARTNER CONTENT - Only explicit partnerships (very narrow)
-  const partnerPatterns = /\b(announces partnership|partner program|technology partner|strategic alliance|collaboration with|partnering with)/;
-  if (text.match(partnerPatterns) || url.includes('/partners')) {
-    audiences.push('partners');
+// Lead-form field categories, checked in order against the field name and label
+const FORM_FIELD_CATEGORIES = [
+  ['email', /e-?mail/i],
+  ['company-size', /company.?size|employees|employee.?count|headcount|number.?of.?(employees|lives|members)|covered.?lives/i],
+  ['health-plan', /health.?plan|insur|carrier|payer/i],
+  ['role', /job.?title|\btitle\b|\brole\b|position|job.?function|department|seniority/i],
+  ['company', /company|organi[sz]ation|employer|business/i],
+  ['name', /first.?name|last.?name|full.?name|firstname|lastname|^name$/i],
+  ['phone', /phone|mobile/i],
+  ['location', /\bstate\b|country|region|zip|postal/i],
+  ['industry', /industry|sector/i]
+];
+
+function categorizeFormField(name, label) {
+  const text = `${name} ${label}`;
+  const match = FORM_FIELD_CATEGORIES.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Embedded lead forms (HubSpot, Marketo, Pardot or plain HTML) and their fields.
+ * Forms in site chrome (newsletter sign-ups in the footer) are ignored.
+ */
+function extractLeadForms($) {
+  const body = $('body').clone();
+  body.find('nav, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]').remove();
+
+  const forms = [];
+  const scripts = $('script').map((i, el) => `${$(el).attr('src') || ''} ${$(el).html() || ''}`).get().join('\n');
+
+  // HubSpot: hbspt.forms.create({ portalId: '123', formId: 'abc' }) or share.hsforms.com iframes
+  const hubspotPattern = /hbspt\.forms\.create\(\s*\{[^}]*?portalId:\s*["']?(\d+)["']?[^}]*?formId:\s*["']([\w-]+)["']/g;
+  let match;
+  while ((match = hubspotPattern.exec(scripts)) !== null) {
+    forms.push({ provider: 'hubspot', portalId: match[1], formId: match[2], fields: [] });
   }
+  body.find('iframe[src*="hsforms"]').each((i, el) => {
+    forms.push({ provider: 'hubspot', portalId: null, formId: $(el).attr('src'), fields: [] });
+  });
 
-  // If no specific audience detected, mark as general
-  if (audiences.length === 0) {
-    return ['general'];
+  // Marketo: MktoForms2.loadForm("//app-xx.marketo.com", "123-ABC-456", 1234)
+  const marketoPattern = /MktoForms2\.loadForm\(\s*["'][^"']*["']\s*,\s*["']([\w-]+)["']\s*,\s*(\d+)/g;
+  while ((match = marketoPattern.exec(scripts)) !== null) {
+    forms.push({ provider: 'marketo', portalId: match[1], formId: match[2], fields: [] });
   }
 
-  return audiences;
+  // Forms rendered in the static HTML - fields are readable here
+  body.find('form').each((i, el) => {
+    const $form = $(el);
+    const action = $form.attr('action') || '';
+    const id = $form.attr('id') || '';
+
+    let provider = 'html';
+    if (/hs-form|hsforms|hubspot/i.test(`${$form.attr('class') || ''} ${action}`)) provider = 'hubspot';
+    else if (/^mktoForm/.test(id) || /marketo/i.test(action)) provider = 'marketo';
+    else if (/pardot/i.test(action)) provider = 'pardot';
+
+    // Skip site search boxes
+    if ($form.attr('role') === 'search' || $form.find('input[type="search"]').length > 0) return;
+
+    const fields = [];
+    $form.find('input, select, textarea').each((j, field) => {
+      const $field = $(field);
+      const type = $field.attr('type') || (field.tagName === 'input' ? 'text' : field.tagName);
+      if (['hidden', 'submit', 'button', 'reset', 'image'].includes(type)) return;
+
+      const name = $field.attr('name') || $field.attr('id') || '';
+      const fieldId = $field.attr('id');
+      const label = ((fieldId && $form.find(`label[for="${fieldId}"]`).text()) ||
+                     $field.attr('aria-label') ||
+                     $field.attr('placeholder') || '').replace(/\s+/g, ' ').trim();
+
+      fields.push({ name, label, type, category: categorizeFormField(name, label) });
+    });
+
+    if (fields.length === 0) return;
+
+    // A static form that matches an already-detected embed just fills in its fields
+    const embed = forms.find(f => f.provider === provider && f.fields.length === 0 && provider !== 'html');
+    if (embed) {
+      embed.fields = fields;
+    } else {
+      forms.push({ provider, portalId: null, formId: id || action || null, fields });
+    }
+  });
+
+  return forms.map(form => ({
+    ...form,
+    fieldCategories: [...new Set(form.fields.map(field => field.category))]
+  }));
 }
 
 /**
- * Extract date from string
+ * Gated = the page asks for more than an email address before handing over the content.
+ * Only forms embedded in this page count: a "Download the report" link to another page is an
+ * ungated page promoting a gated asset, unless it just jumps to a form further down this page.
  */
-function extractDate(dateString) {
-  if (!dateString) return null;
+function detectGating(leadForms, ctas, pageUrl) {
+  const signals = [];
+
+  leadForms.forEach(form => {
+    const nonEmail = form.fieldCategories.filter(category => category !== 'email');
+    if (form.provider !== 'html' && form.fields.length === 0) {
+      signals.push(`${form.provider} form embed`);
+    } else if (nonEmail.length > 0) {
+      signals.push(`${form.provider} form asking for ${nonEmail.join(', ')}`);
+    }
+  });
 
-  try {
-    const date = new Date(dateString);
-    if (date && !isNaN(date.getTime())) {
-      return format(date, 'yyyy-MM-dd');
+  const withoutHash = (url) => String(url || '').split('#')[0];
+  if (ctas.some(cta => cta.type === 'gated-form' && cta.url && withoutHash(cta.url) === withoutHash(pageUrl))) {
+    signals.push('gated-form call to action on this page');
+  }
+
+  return { gated: signals.length > 0, gatingSignals: signals };
+}
+
+/**
+ * Parse every application/ld+json block into a flat list of schema.org nodes
+ */
+function parseJsonLd($) {
+  const nodes = [];
+
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) collect(value['@graph']);
     }
-  } catch {
-    return null;
+  };
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      collect(JSON.parse($(el).contents().text()));
+    } catch {
+      // Skip malformed blocks - CMS-injected JSON-LD is occasionally invalid
+    }
+  });
+
+  return nodes;
+}
+
+/**
+ * Schema.org @type as an array (it may be a string, an array or missing)
+ */
+function getJsonLdTypes(node) {
+  const type = node['@type'];
+  if (!type) return [];
+  return Array.isArray(type) ? type : [type];
+}
+
+/**
+ * Normalize a schema.org Person/Organization (or plain string) into { name, url, jobTitle }
+ */
+function normalizePerson(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return { name: value.trim(), url: null, jobTitle: null };
+
+  const name = typeof value.name === 'string' ? value.name.trim() : '';
+  if (!name) return null;
+
+  return {
+    name,
+    url: value.url || value['@id'] || null,
+    jobTitle: value.jobTitle || value.honorificSuffix || null
+  };
+}
+
+function normalizePeople(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(normalizePerson).filter(Boolean);
+}
+
+/**
+ * Keywords may be a comma-separated string or an array
+ */
+function normalizeKeywords(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(k => String(k).trim()).filter(Boolean);
+}
+
+/**
+ * ISO 8601 duration (PT1H2M30S) to seconds
+ */
+function parseIsoDuration(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(duration || '');
+  if (!match) return null;
+
+  const [, days, hours, minutes, seconds] = match;
+  return (parseInt(days || 0, 10) * 86400) +
+         (parseInt(hours || 0, 10) * 3600) +
+         (parseInt(minutes || 0, 10) * 60) +
+         Math.round(parseFloat(seconds || 0));
+}
+
+/**
+ * Collect <meta> tags whose property/name starts with one of the prefixes.
+ * Repeated tags (e.g. several og:image) become arrays.
+ */
+function collectMetaTags($, attribute, prefixes) {
+  const tags = {};
+
+  $(`meta[${attribute}]`).each((i, el) => {
+    const key = $(el).attr(attribute);
+    const value = ($(el).attr('content') || '').trim();
+    if (!value || !prefixes.some(prefix => key.startsWith(prefix))) return;
+
+    if (tags[key] === undefined) {
+      tags[key] = value;
+    } else {
+      tags[key] = [].concat(tags[key], value);
+    }
+  });
+
+  return tags;
+}
+
+const firstValue = (value) => Array.isArray(value) ? value[0] : value;
+
+/**
+ * Normalize JSON-LD and og:/twitter: meta into one structuredData object
+ */
+function extractStructuredData($, jsonLdNodes) {
+  const openGraph = collectMetaTags($, 'property', ['og:', 'article:']);
+  const twitter = collectMetaTags($, 'name', ['twitter:']);
+
+  const types = [...new Set(jsonLdNodes.flatMap(getJsonLdTypes))];
+  const ofType = (...wanted) => jsonLdNodes.filter(n => getJsonLdTypes(n).some(t => wanted.includes(t)));
+
+  // The main node is the first article-like or page-like entity
+  const main = ofType('Article', 'NewsArticle', 'BlogPosting', 'MedicalScholarlyArticle', 'Report')[0] ||
+               ofType('MedicalWebPage', 'WebPage')[0] ||
+               {};
+
+  const authors = normalizePeople(main.author || ofType('Article', 'BlogPosting').map(n => n.author).find(Boolean));
+  const reviewers = normalizePeople(
+    main.reviewedBy || jsonLdNodes.map(n => n.reviewedBy).find(Boolean)
+  );
+
+  const breadcrumbList = ofType('BreadcrumbList')[0];
+  const breadcrumbs = breadcrumbList && Array.isArray(breadcrumbList.itemListElement)
+    ? breadcrumbList.itemListElement
+        .slice()
+        .sort((a, b) => (a.position || 0) - (b.position || 0))
+        .map(entry => ({
+          name: entry.name || entry.item?.name || '',
+          url: typeof entry.item === 'string' ? entry.item : entry.item?.['@id'] || entry.item?.url || null
+        }))
+        .filter(entry => entry.name)
+    : [];
+
+  const faqQuestions = ofType('FAQPage')
+    .flatMap(faq => [].concat(faq.mainEntity || []))
+    .map(question => (question.name || '').trim())
+    .filter(Boolean);
+
+  const videos = ofType('VideoObject').map(video => ({
+    name: video.name || null,
+    duration: video.duration || null,
+    durationSeconds: parseIsoDuration(video.duration),
+    uploadDate: video.uploadDate || null,
+    thumbnailUrl: firstValue(video.thumbnailUrl) || null
+  }));
+
+  const section = firstValue(main.articleSection) || firstValue(openGraph['article:section']) || null;
+
+  const keywords = [...new Set([
+    ...normalizeKeywords(main.keywords),
+    ...normalizeKeywords([].concat(openGraph['article:tag'] || [])),
+    ...normalizeKeywords($('meta[name="keywords"]').attr('content'))
+  ])];
+
+  return {
+    types,
+    headline: main.headline || main.name || null,
+    datePublished: main.datePublished || null,
+    dateModified: main.dateModified || null,
+    authors,
+    reviewers,
+    section,
+    keywords,
+    breadcrumbs,
+    faqQuestions,
+    videos,
+    openGraph,
+    twitter
+  };
+}
+
+// Clinical and academic credentials that trail names in bylines ("Jane Doe, PT, DPT")
+const CREDENTIALS = [
+  'PT', 'DPT', 'MPT', 'MSPT', 'OCS', 'SCS', 'WCS', 'CSCS', 'ATC', 'MD', 'DO', 'PhD', 'PsyD',
+  'RN', 'NP', 'PA-C', 'MPH', 'MS', 'MA', 'MBA', 'RD', 'LCSW', 'CHES', 'FAAOMPT', 'OTR/L', 'CPT'
+];
+
+/**
+ * Split "Dr. Jane Doe, PT, DPT" into { name: 'Jane Doe', credentials: ['PT', 'DPT'] }
+ */
+function parseContributorName(rawName) {
+  const tokens = (rawName || '')
+    .replace(/^\s*Dr\.?\s+/i, '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  const credentials = [];
+
+  // Peel credentials off the end - bylines write both "PT, DPT" and "PT DPT"
+  while (tokens.length > 1 && CREDENTIALS.includes(tokens[tokens.length - 1].replace(/\./g, ''))) {
+    credentials.unshift(tokens.pop().replace(/\./g, ''));
   }
 
+  return { name: tokens.join(' '), credentials };
+}
+
+/**
+ * Author and medical-reviewer bylines - JSON-LD first, then "Written by" / "Medically reviewed by" text
+ */
+function extractContributors($, structuredData, pageUrl) {
+  const contributors = { authors: [], reviewers: [] };
+
+  const add = (role, rawName, profileUrl, jobTitle) => {
+    const { name, credentials } = parseContributorName(rawName);
+    if (!name || name.length > 80) return;
+
+    const list = contributors[role];
+    const existing = list.find(person => person.name.toLowerCase() === name.toLowerCase());
+    const extraCredentials = jobTitle ? parseContributorName(`x ${jobTitle}`).credentials : [];
+
+    if (existing) {
+      existing.profileUrl = existing.profileUrl || profileUrl || null;
+      existing.credentials = [...new Set([...existing.credentials, ...credentials, ...extraCredentials])];
+    } else {
+      list.push({
+        name,
+        credentials: [...new Set([...credentials, ...extraCredentials])],
+        profileUrl: profileUrl || null
+      });
+    }
+  };
+
+  structuredData.authors.forEach(person => add('authors', person.name, person.url, person.jobTitle));
+  structuredData.reviewers.forEach(person => add('reviewers', person.name, person.url, person.jobTitle));
+
+  const bylinePatterns = [
+    { role: 'reviewers', pattern: /^(?:medically |clinically )?reviewed by[:\s]+(.+)/i },
+    { role: 'authors', pattern: /^(?:written|authored) by[:\s]+(.+)/i }
+  ];
+
+  $('p, span, div, li').each((i, el) => {
+    const $el = $(el);
+    const text = $el.text().replace(/\s+/g, ' ').trim();
+    if (!text || text.length > 200 || $el.children('p, div, li').length > 0) return;
+
+    bylinePatterns.forEach(({ role, pattern }) => {
+      const match = pattern.exec(text);
+      if (!match) return;
+
+      // Prefer a linked profile; otherwise take the text after "by"
+      const $link = $el.find('a[href]').first();
+      if ($link.length) {
+        // A malformed profile href shouldn't fail the page - keep the name without it
+        let profileUrl = null;
+        try {
+          profileUrl = new URL($link.attr('href'), pageUrl).toString();
+        } catch {
+          profileUrl = null;
+        }
+        add(role, $link.text(), profileUrl);
+      } else {
+        add(role, match[1].split(/\s*(?:\||·|•|\bon\b|\bupdated\b)/i)[0]);
+      }
+    });
+  });
+
+  return contributors;
+}
+
+/**
+ * Content type implied by structured data - only for unambiguous schema.org types
+ */
+function contentTypeFromStructuredData(structuredData) {
+  const types = structuredData.types;
+  const ogType = firstValue(structuredData.openGraph['og:type']) || '';
+
+  if (types.includes('NewsArticle') || types.includes('PressRelease')) return 'press-release';
+  if (types.includes('DefinedTerm') || types.includes('DefinedTermSet')) return 'glossary';
+  if (types.includes('Event') && /webinar/i.test(structuredData.headline || '')) return 'webinar';
+  if (types.includes('Report')) return 'report-guide';
+  if (ogType === 'video.other' || (types.length === 1 && types[0] === 'VideoObject')) return 'video';
   return null;
 }
 
 /**
- * Fetch all URLs from sitemap with lastmod dates
+ * Categories from structured data: section, keywords and intermediate breadcrumbs
+ */
+function categoriesFromStructuredData(structuredData) {
+  const breadcrumbNames = structuredData.breadcrumbs
+    .slice(1, -1) // drop "Home" and the page itself
+    .map(crumb => crumb.name);
+
+  return [structuredData.section, ...breadcrumbNames, ...structuredData.keywords]
+    .filter(Boolean)
+    .map(name => String(name).trim());
+}
+
+/**
+ * Publish and modified dates, each with the source it came from.
+ * Structured data comes first, then the remaining page markup.
+ */
+function extractPageDates($, structuredData) {
+  const og = structuredData.openGraph;
+
+  const publishCandidates = [
+    ['json-ld:datePublished', structuredData.datePublished],
+    ['meta:article:published_time', firstValue(og['article:published_time'])],
+    ['meta:publish-date', $('meta[name="publish-date"]').attr('content')],
+    ['time[datetime]', $('time[datetime]').first().attr('datetime')],
+    ['time', $('time[datetime]').first().text().trim()],
+    ['.publish-date', $('.publish-date').first().text().trim()],
+    ['.post-date', $('.post-date').first().text().trim()]
+  ];
+
+  const modifiedCandidates = [
+    ['json-ld:dateModified', structuredData.dateModified],
+    ['meta:article:modified_time', firstValue(og['article:modified_time'])],
+    ['meta:og:updated_time', firstValue(og['og:updated_time'])]
+  ];
+
+  const firstValid = (candidates) => {
+    for (const [source, value] of candidates) {
+      const date = extractDate(value);
+      if (date) return { date, source };
+    }
+    return { date: null, source: null };
+  };
+
+  const published = firstValid(publishCandidates);
+  const modified = firstValid(modifiedCandidates);
+
+  return {
+    publishDate: published.date,
+    publishDateSource: published.source,
+    modifiedDate: modified.date,
+    modifiedDateSource: modified.source
+  };
+}
+
+const MAX_SITEMAP_DEPTH = 5;
+
+/**
+ * Whether a sitemap URL points at content we monitor
+ */
+function isMonitoredUrl(url) {
+  return url.includes('/resources/') ||
+         url.includes('/for-organizations/') ||
+         url.includes('/acquisition/') ||
+         url.includes('/for-individuals/') ||
+         url.includes('-webinar/');
+}
+
+/**
+ * Fetch a sitemap document, transparently gunzipping .xml.gz files
+ */
+async function fetchSitemapXml(sitemapUrl) {
+  const { response } = await fetchWithRetry(sitemapUrl, { responseType: 'arraybuffer' });
+  let buffer = Buffer.from(response.data);
+
+  // gzip magic bytes - axios only decompresses Content-Encoding, not gzipped files
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  return buffer.toString('utf8');
+}
+
+/**
+ * Parse <url> entries, keeping changefreq, priority and image/news extensions
+ */
+function parseUrlset($, sitemapUrl) {
+  const entries = [];
+
+  $('url').each((i, el) => {
+    const $url = $(el);
+    const url = $url.children('loc').text().trim();
+    if (!url) return;
+
+    const priority = parseFloat($url.children('priority').text());
+
+    const images = [];
+    $url.children('image\\:image').each((j, img) => {
+      const $img = $(img);
+      images.push({
+        loc: $img.children('image\\:loc').text().trim(),
+        title: $img.children('image\\:title').text().trim() || null,
+        caption: $img.children('image\\:caption').text().trim() || null
+      });
+    });
+
+    const $news = $url.children('news\\:news').first();
+    const news = $news.length ? {
+      title: $news.children('news\\:title').text().trim() || null,
+      publicationDate: $news.children('news\\:publication_date').text().trim() || null,
+      keywords: $news.children('news\\:keywords').text().trim() || null
+    } : null;
+
+    entries.push({
+      url,
+      lastmod: $url.children('lastmod').text().trim() || null,
+      changefreq: $url.children('changefreq').text().trim() || null,
+      priority: isNaN(priority) ? null : priority,
+      images,
+      news,
+      sitemap: sitemapUrl
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Recursively collect <url> entries from a sitemap or sitemap index
+ */
+async function collectSitemapEntries(sitemapUrl, visited, depth = 0) {
+  if (visited.has(sitemapUrl) || depth > MAX_SITEMAP_DEPTH) return [];
+  visited.add(sitemapUrl);
+
+  const xml = await fetchSitemapXml(sitemapUrl);
+  const $ = cheerio.load(xml, { xml: true });
+
+  if ($('sitemapindex').length > 0) {
+    const children = $('sitemapindex > sitemap > loc').map((i, el) => $(el).text().trim()).get();
+    console.log(`  ${sitemapUrl}: sitemap index with ${children.length} sitemaps`);
+
+    const entries = [];
+    for (const child of children) {
+      try {
+        entries.push(...await collectSitemapEntries(child, visited, depth + 1));
+      } catch (error) {
+        stats.sitemapFailures++;
+        console.error(`  ✗ Failed to fetch sitemap ${child}: ${error.message}`);
+      }
+    }
+    return entries;
+  }
+
+  const entries = parseUrlset($, sitemapUrl);
+  console.log(`  ${sitemapUrl}: ${entries.length} URLs`);
+  return entries;
+}
+
+/**
+ * Sitemap roots: robots.txt Sitemap: lines, falling back to /sitemap.xml
+ */
+async function discoverSitemapRoots() {
+  const robots = await loadRobotsTxt();
+  const fromRobots = robots.parser.getSitemaps();
+
+  if (fromRobots.length > 0) {
+    console.log(`Found ${fromRobots.length} sitemap(s) in robots.txt`);
+    return fromRobots;
+  }
+
+  return [new URL('/sitemap.xml', config.targetUrl).toString()];
+}
+
+/**
+ * Fetch all URLs from the site's sitemaps with lastmod dates and sitemap metadata
  */
 async function fetchSitemapUrls() {
   console.log('Fetching sitemap...');
 
   try {
-    const sitemapResponse = await httpClient.get('https://www.hingehealth.com/sitemap-0.xml');
-
-    // Parse XML to extract URLs and lastmod dates
-    const urlPattern = /<url>\s*<loc>([^<]+)<\/loc>(?:\s*<lastmod>([^<]+)<\/lastmod>)?/g;
-    const urlsWithDates = [];
-    let match;
-
-    while ((match = urlPattern.exec(sitemapResponse.data)) !== null) {
-      const url = match[1];
-      const lastmod = match[2] || null;
-
-      // Filter for our content
-      if (url.includes('/resources/') ||
-          url.includes('/for-organizations/') ||
-          url.includes('/acquisition/') ||
-          url.includes('/for-individuals/') ||
-          url.includes('-webinar/')) {
-        urlsWithDates.push({ url, lastmod });
+    const roots = await discoverSitemapRoots();
+    const visited = new Set();
+    const byUrl = new Map();
+
+    for (const root of roots) {
+      try {
+        const entries = await collectSitemapEntries(root, visited);
+        entries.forEach(entry => {
+          // Filter for our content; the same URL (or a variant of it) can appear in more than one sitemap
+          const url = normalizeUrl(entry.url);
+          if (url && isMonitoredUrl(url) && !byUrl.has(url)) {
+            byUrl.set(url, { ...entry, url });
+          }
+        });
+      } catch (error) {
+        stats.sitemapFailures++;
+        console.error(`  ✗ Failed to fetch sitemap ${root}: ${error.message}`);
       }
     }
 
+    const urlsWithDates = [...byUrl.values()];
+
     // Also count URLs that have lastmod dates
     const withDates = urlsWithDates.filter(item => item.lastmod).length;
-    console.log(`Found ${urlsWithDates.length} resource URLs in sitemap (${withDates} with dates)`);
+    console.log(`Found ${urlsWithDates.length} resource URLs in ${visited.size} sitemap(s) (${withDates} with dates)`);
 
     // Categorize URLs
     const categorized = {};
@@ -279,18 +1508,163 @@ async function fetchSitemapUrls() {
   }
 }
 
+/**
+ * Whether the sitemap's lastmod has moved past what we stored at the last scrape
+ */
+function hasNewerLastmod(entry, existing) {
+  if (!entry.lastmod) return false;
+  if (!existing.sitemapLastmod) return true;
+
+  const current = Date.parse(entry.lastmod);
+  const stored = Date.parse(existing.sitemapLastmod);
+  if (isNaN(current) || isNaN(stored)) return entry.lastmod !== existing.sitemapLastmod;
+
+  return current > stored;
+}
+
+/**
+ * If-None-Match / If-Modified-Since headers from the validators saved at the last fetch. None for
+ * a tombstone: a removed page back in the sitemap needs a full fetch to come back to life.
+ */
+function getConditionalHeaders(existing) {
+  const headers = {};
+  if (existing?.removed) return headers;
+  if (existing?.etag) headers['If-None-Match'] = existing.etag;
+  if (existing?.lastModified) headers['If-Modified-Since'] = existing.lastModified;
+  return headers;
+}
+
+/**
+ * A known record after a 304: unchanged, but checked now and live - the page answered, so
+ * any tombstone fields from an earlier removal are dropped
+ */
+function notModifiedRecord(existing, sitemapLastmod, attempts) {
+  const { removed, removedAt, removalReason, redirectTarget, ...record } = existing;
+  return {
+    ...record,
+    sitemapLastmod: sitemapLastmod || existing.sitemapLastmod || null,
+    lastChecked: new Date().toISOString(),
+    fetchAttempts: attempts,
+    isNew: false
+  };
+}
+
+/**
+ * The page's rel=canonical, normalized - ignored when it points at another host
+ */
+function extractCanonicalUrl($, pageUrl) {
+  const href = $('link[rel="canonical"]').first().attr('href');
+  if (!href) return null;
+
+  const canonical = normalizeUrl(href, pageUrl);
+  if (!canonical || new URL(canonical).host !== new URL(pageUrl).host) return null;
+  return canonical;
+}
+
+/**
+ * URL the response was finally served from, after axios followed any redirects
+ */
+function getFinalUrl(response, url) {
+  return (response.request && response.request.res && response.request.res.responseUrl) || url;
+}
+
+/**
+ * Keep a record for a page that is gone, noting when and why it disappeared
+ */
+function markRemoved(existing, reason, redirectTarget = null) {
+  if (!existing.removed) {
+    stats.removed++;
+    console.log(`  ⊘ Removed: ${existing.url} (${reason}${redirectTarget ? ` → ${redirectTarget}` : ''})`);
+  }
+
+  return {
+    ...existing,
+    removed: true,
+    removedAt: existing.removed ? existing.removedAt : new Date().toISOString(),
+    removalReason: reason,
+    redirectTarget: redirectTarget,
+    lastChecked: new Date().toISOString(),
+    isNew: false
+  };
+}
+
+/**
+ * Re-check a known page that dropped out of the sitemap; returns its tombstone if it 404s, 410s or
+ * redirects, otherwise the record kept live (a page that still loads may just be unlisted)
+ */
+async function checkDroppedUrl(existing) {
+  if (!isAllowedByRobots(existing.url)) {
+    return existing;
+  }
+
+  try {
+    const { response } = await fetchWithRetry(existing.url);
+    const finalUrl = normalizeUrl(getFinalUrl(response, existing.url)) || existing.url;
+    if (!recordUrls(existing).includes(finalUrl)) {
+      return markRemoved(existing, 'redirected', finalUrl);
+    }
+
+    console.log(`  ⚠ Not in sitemap but still live: ${existing.url}`);
+    return { ...existing, lastChecked: new Date().toISOString(), isNew: false };
+  } catch (error) {
+    const status = error.response ? error.response.status : null;
+    if (status === 404 || status === 410) {
+      return markRemoved(existing, status === 410 ? 'gone' : 'not-found');
+    }
+
+    // Network trouble isn't evidence the page is gone - try again next run
+    console.error(`  ✗ Could not re-check ${existing.url}: ${error.message}`);
+    return { ...existing, lastChecked: new Date().toISOString() };
+  }
+}
+
 /**
  * Scrape a single page using axios + cheerio (no Puppeteer!)
  */
-async function scrapePage(url, sitemapLastmod = null) {
+async function scrapePage(url, sitemapEntry = {}) {
+  const sitemapLastmod = sitemapEntry.lastmod || null;
+
+  // Check if this URL already exists (the sitemap hands us normalized URLs)
+  let existing = existingContent.get(url);
+
   try {
-    // Fetch the HTML
-    const response = await httpClient.get(url);
+    // Fetch the HTML - in refresh mode, conditionally against the last fetch's validators
+    const { response, attempts } = await fetchWithRetry(url, REFRESH ? {
+      headers: getConditionalHeaders(existing),
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    } : {});
+
+    // Unchanged since the last fetch - keep the record, just note that we checked
+    if (response.status === 304 && existing) {
+      allContent.push(notModifiedRecord(existing, sitemapLastmod, attempts));
+      stats.notModified++;
+      return true;
+    }
+
+    // A known page that now redirects elsewhere has been retired
+    const finalUrl = normalizeUrl(getFinalUrl(response, url)) || url;
+    if (existing && finalUrl !== url && !recordUrls(existing).includes(finalUrl)) {
+      allContent.push(markRemoved(existing, 'redirected', finalUrl));
+      return true;
+    }
+
     const html = response.data;
 
     // Parse with cheerio
     const $ = cheerio.load(html);
 
+    // File the page under its canonical URL (or where the redirect landed), keeping the
+    // earliest firstSeen if it was previously tracked under another URL
+    const canonicalUrl = extractCanonicalUrl($, finalUrl);
+    const recordUrl = canonicalUrl || finalUrl;
+    const aliasRecord = existing;
+    existing = existingContent.get(recordUrl) || existing;
+    const firstSeen = [aliasRecord, existing]
+      .filter(Boolean)
+      .map(item => item.firstSeen)
+      .filter(Boolean)
+      .sort()[0];
+
     // Extract data
     const data = {};
 
@@ -302,17 +1676,11 @@ async function scrapePage(url, sitemapLastmod = null) {
     data.metaDescription = $('meta[name="description"]').attr('content')?.trim() ||
                           $('meta[property="og:description"]').attr('content')?.trim() || '';
 
-    // Publish date
-    data.publishDate = $('meta[property="article:published_time"]').attr('content') ||
-                      $('meta[name="publish-date"]').attr('content') ||
-                      $('time[datetime]').first().attr('datetime') ||
-                      $('time[datetime]').first().text().trim() ||
-                      $('.publish-date').first().text().trim() ||
-                      $('.post-date').first().text().trim() ||
-                      null;
-
-    // Categories
-    data.categories = [];
+    // Normalized JSON-LD + og:/twitter: metadata
+    const structuredData = extractStructuredData($, parseJsonLd($));
+
+    // Categories - structured data first, then tag/category elements in the markup
+    data.categories = [...new Set(categoriesFromStructuredData(structuredData))];
     $('.category, .tag, .topic, [rel="category tag"]').each((i, el) => {
       const text = $(el).text().trim();
       if (text && !data.categories.includes(text)) {
@@ -324,61 +1692,180 @@ async function scrapePage(url, sitemapLastmod = null) {
     data.featuredImage = $('meta[property="og:image"]').attr('content') ||
                         $('meta[name="twitter:image"]').attr('content') || '';
 
-    // Determine content type (refine based on title)
-    let contentType = determineContentType(url);
+    // Main body text and heading outline (nav/footer/CTA boilerplate removed)
+    const body = extractBodyContent($);
 
-    // Refine for-organizations content based on title and URL
-    if (contentType === 'for-organizations') {
-      if (isReportOrGuide(data.title, url)) {
-        contentType = 'report-guide';
-      } else {
-        contentType = 'other';
-      }
-    }
+    // Publication and modification dates from the page itself
+    const dates = extractPageDates($, structuredData);
+
+    // Outbound internal links for the link graph
+    const links = extractInternalLinks($, url);
+
+    // Calls to action - how the page tries to convert the reader
+    const ctas = extractCtas($, url);
+
+    // Lead forms and whether the content sits behind one
+    const leadForms = extractLeadForms($);
+    const gating = detectGating(leadForms, ctas, url);
 
-    // Check if this URL already exists
-    const existing = existingContent.get(url);
+    // Bylines - who writes and who medically reviews
+    const contributors = extractContributors($, structuredData, url);
 
-    // Use sitemap lastmod date if available, otherwise try to extract from page
-    const publishDate = sitemapLastmod ?
-                       extractDate(sitemapLastmod) :
-                       extractDate(data.publishDate);
+    // Determine content type - structured data first, then URL (refined based on title)
+    const contentType = contentTypeFromStructuredData(structuredData) || classifyContentType(url, data.title);
 
     const content = {
-      id: existing ? existing.id : generateId(url),
+      id: generateId(recordUrl),
       title: data.title,
-      url: url,
-      publishDate: publishDate,
-      updateDate: null,
+      url: recordUrl,
+      canonicalUrl: canonicalUrl,
+      finalUrl: finalUrl,
+      sourceUrls: [...new Set([...(existing ? recordUrls(existing) : []), url])],
+      publishDate: dates.publishDate,
+      modifiedDate: dates.modifiedDate,
+      sitemapLastmod: sitemapLastmod,
+      dateSources: {
+        publishDate: dates.publishDateSource,
+        modifiedDate: dates.modifiedDateSource,
+        sitemapLastmod: sitemapLastmod ? 'sitemap' : null
+      },
       contentType: contentType,
       categories: data.categories || [],
       metaDescription: data.metaDescription || '',
       targetAudience: [],
       featuredImage: data.featuredImage || '',
-      firstSeen: existing ? existing.firstSeen : new Date().toISOString(),
+      authors: contributors.authors,
+      reviewers: contributors.reviewers,
+      sitemap: {
+        changefreq: sitemapEntry.changefreq || null,
+        priority: sitemapEntry.priority ?? null,
+        images: sitemapEntry.images || [],
+        news: sitemapEntry.news || null,
+        source: sitemapEntry.sitemap || null
+      },
+      structuredData: structuredData,
+      links: links,
+      ctas: ctas,
+      leadForms: leadForms,
+      gated: gating.gated,
+      gatingSignals: gating.gatingSignals,
+      bodyText: body.bodyText,
+      headings: body.headings,
+      wordCount: body.wordCount,
+      firstSeen: firstSeen || new Date().toISOString(),
       lastChecked: new Date().toISOString(),
-      isNew: existing ? false : true
+      fetchAttempts: attempts,
+      etag: response.headers['etag'] || null,
+      lastModified: response.headers['last-modified'] || null,
+      isNew: existing || aliasRecord ? false : true
     };
 
     content.targetAudience = determineAudience(content);
 
+    // Fingerprint the page and log what changed since the last scrape
+    content.fingerprints = computeFingerprints(content);
+    content.lastChangedAt = existing ? existing.lastChangedAt || null : null;
+    if (existing) {
+      const change = detectContentChanges(existing, content);
+      if (change) {
+        pendingChanges.push(change);
+        content.lastChangedAt = change.detectedAt;
+        stats.changed++;
+      }
+    }
+
     allContent.push(content);
     stats.successful++;
 
     return true;
 
   } catch (error) {
+    // A known page that now 404s/410s was taken down, not a failed scrape
+    const status = error.response ? error.response.status : null;
+    if (existing && (status === 404 || status === 410)) {
+      allContent.push(markRemoved(existing, status === 410 ? 'gone' : 'not-found'));
+      return true;
+    }
+
     stats.failed++;
-    stats.failedUrls.push(url);
-    console.error(`  ✗ Failed to scrape ${url}: ${error.message}`);
+    stats.failedUrls.push({
+      url,
+      status: error.response ? error.response.status : null,
+      reason: error.message,
+      attempts: error.attempts || 1,
+      permanent: error.permanent !== false
+    });
+    console.error(`  ✗ Failed to scrape ${url} after ${error.attempts || 1} attempt(s): ${error.message}`);
     return false;
   }
 }
 
+/**
+ * Print a group of failed URLs
+ */
+function printFailures(label, failures) {
+  if (failures.length === 0) return;
+
+  console.log(`\n${label}: ${failures.length}`);
+  if (failures.length <= 20) {
+    failures.forEach(f => {
+      const status = f.status ? `HTTP ${f.status}` : f.reason;
+      console.log(`  - ${f.url} (${status}, ${f.attempts} attempt${f.attempts === 1 ? '' : 's'})`);
+    });
+  } else {
+    console.log('  (too many to list)');
+  }
+}
+
+/**
+ * Pick which sitemap URLs this run scrapes: everything with --full, otherwise new pages,
+ * removed pages that came back and (with --refresh) pages whose lastmod moved on
+ */
+function selectUrlsToScrape(urls) {
+  let filteredUrls = urls;
+
+  // Skip already-scraped URLs unless --force flag is used
+  if (!FORCE_RESCRAPE && existingContent.size > 0) {
+    const newUrls = urls.filter(item => !existingContent.has(item.url));
+    console.log(`\nFound ${newUrls.length} new URLs (${urls.length} total, ${urls.length - newUrls.length} already scraped)`);
+    filteredUrls = newUrls;
+
+    // Pages we'd marked removed that are back in the sitemap get scraped again
+    const restoredUrls = urls.filter(item => {
+      const existing = existingContent.get(item.url);
+      return existing && existing.removed;
+    });
+    if (restoredUrls.length > 0) {
+      console.log(`Found ${restoredUrls.length} previously removed URLs back in the sitemap`);
+      filteredUrls = filteredUrls.concat(restoredUrls);
+    }
+
+    // --refresh also revisits known pages whose sitemap lastmod moved on
+    if (REFRESH) {
+      const changedUrls = urls.filter(item => {
+        const existing = existingContent.get(item.url);
+        return existing && !existing.removed && hasNewerLastmod(item, existing);
+      });
+      console.log(`Found ${changedUrls.length} known URLs with a newer sitemap lastmod`);
+      filteredUrls = filteredUrls.concat(changedUrls);
+    }
+  }
+
+  // Optionally limit number of pages
+  if (config.monitoring.maxPagesToScrape && filteredUrls.length > config.monitoring.maxPagesToScrape) {
+    console.log(`Limiting to ${config.monitoring.maxPagesToScrape} pages (found ${filteredUrls.length})`);
+    filteredUrls = filteredUrls.slice(0, config.monitoring.maxPagesToScrape);
+  }
+
+  return filteredUrls;
+}
+
 /**
  * Main execution
  */
 async function main() {
+  const startedAt = new Date();
+
   console.log('\n' + '='.repeat(60));
   console.log('HINGE HEALTH SITEMAP-BASED SCRAPER');
   console.log('Using axios + cheerio (no Puppeteer)');
@@ -387,94 +1874,148 @@ async function main() {
   // Load existing content
   await loadExistingContent();
 
-  if (FORCE_RESCRAPE) {
+  // --resume / --retry-failed pick up the last run's saved queue
+  let queue = null;
+  if (RESUME || RETRY_FAILED) {
+    queue = await loadWorkQueue();
+    if (!queue) {
+      console.error('No saved scrape queue found - nothing to resume');
+      process.exit(1);
+    }
+
+    const requeued = resumeQueue(queue, RETRY_FAILED);
+    if (RETRY_FAILED) {
+      console.log(`--retry-failed: Re-attempting ${requeued} failed URLs from run ${queue.runId}\n`);
+    } else if (requeued === null) {
+      console.log(`Run ${queue.runId} already finished - nothing to resume (use --retry-failed for its failures)`);
+      process.exit(0);
+    } else {
+      console.log(`--resume: Continuing run ${queue.runId} (${queue.mode})\n`);
+    }
+
+    FORCE_RESCRAPE = queue.mode === 'full';
+    REFRESH = queue.mode === 'refresh';
+  } else if (FORCE_RESCRAPE) {
     console.log('--full/--force flag detected: Re-scraping all URLs\n');
+  } else if (REFRESH) {
+    console.log('--refresh flag detected: Re-scraping new URLs and pages whose sitemap lastmod changed\n');
   }
 
   // Fetch all URLs from sitemap
-  const urls = await fetchSitemapUrls();
+  const sitemapUrls = await fetchSitemapUrls();
 
-  if (urls.length === 0) {
+  if (sitemapUrls.length === 0) {
     console.error('No URLs found. Exiting.');
     process.exit(1);
   }
 
-  // Filter URLs based on config and existing content
-  let filteredUrls = urls;
-
-  // Skip already-scraped URLs unless --force flag is used
-  if (!FORCE_RESCRAPE && existingContent.size > 0) {
-    const newUrls = urls.filter(item => !existingContent.has(item.url));
-    console.log(`\nFound ${newUrls.length} new URLs (${urls.length} total, ${urls.length - newUrls.length} already scraped)`);
-    filteredUrls = newUrls;
-  }
+  // Respect robots.txt before deciding what to scrape
+  const urls = await filterByRobotsTxt(sitemapUrls);
 
-  // Optionally limit number of pages
-  if (config.monitoring.maxPagesToScrape && filteredUrls.length > config.monitoring.maxPagesToScrape) {
-    console.log(`Limiting to ${config.monitoring.maxPagesToScrape} pages (found ${filteredUrls.length})`);
-    filteredUrls = filteredUrls.slice(0, config.monitoring.maxPagesToScrape);
+  if (!queue) {
+    queue = {
+      runId: createRunId(startedAt),
+      mode: runMode(),
+      startedAt: startedAt.toISOString(),
+      items: selectUrlsToScrape(urls).map(entry => ({ ...entry, status: 'pending' }))
+    };
+  } else {
+    // Pages finished before the interruption were checkpointed into storage - keep them as this run's results
+    queue.items.filter(item => item.status === 'done').forEach(item => {
+      const existing = existingContent.get(item.url);
+      if (existing) allContent.push(existing);
+    });
   }
+  await saveWorkQueue(queue);
 
-  console.log(`\nScraping ${filteredUrls.length} pages...\n`);
+  const filteredUrls = queue.items.filter(item => item.status === 'pending');
+  const concurrency = Math.max(1, config.scraping.concurrency || 1);
+  console.log(`\nScraping ${filteredUrls.length} pages with ${concurrency} workers...\n`);
 
   try {
-    // Scrape each URL
-    for (let i = 0; i < filteredUrls.length; i++) {
-      const item = filteredUrls[i];
-      const url = item.url;
-      const lastmod = item.lastmod;
+    let completed = 0;
+
+    // Scrape URLs through a bounded worker pool; the per-host rate limiter paces requests
+    await runWorkerPool(filteredUrls, concurrency, async (item) => {
       stats.total++;
 
-      if (i % 50 === 0) {
-        console.log(`Progress: ${i}/${filteredUrls.length} (${((i/filteredUrls.length)*100).toFixed(1)}%)`);
+      const ok = await scrapePage(item.url, item);
+      item.status = ok ? 'done' : 'failed';
+      if (!ok) {
+        const failure = stats.failedUrls.find(f => f.url === item.url);
+        item.error = failure ? failure.reason : null;
       }
+      completed++;
 
-      await scrapePage(url, lastmod);
+      if (completed % 50 === 0) {
+        console.log(`Progress: ${completed}/${filteredUrls.length} (${((completed/filteredUrls.length)*100).toFixed(1)}%)`);
 
-      // Save periodically
-      if (i % 50 === 0 && i > 0) {
-        await saveContent();
+        // Save periodically, along with which URLs are still pending
+        await queueSave(queue);
         console.log(`  ✓ Checkpoint saved (${allContent.length} pieces)`);
       }
-
-      // Rate limiting
-      await sleep(config.scraping.delayBetweenRequests || 1000);
-    }
+    });
 
     // Merge with existing content (for URLs we didn't re-scrape)
-    if (!FORCE_RESCRAPE && existingContent.size > 0) {
-      const scrapedUrls = new Set(allContent.map(item => item.url));
-      existingContent.forEach((item, url) => {
-        if (!scrapedUrls.has(url)) {
-          // Update lastChecked but keep everything else the same
-          item.lastChecked = new Date().toISOString();
-          allContent.push(item);
-          stats.skipped++;
-        }
+    const scrapedUrls = new Set(allContent.flatMap(recordUrls));
+    const inSitemap = new Set(sitemapUrls.map(item => item.url));
+    const droppedUrls = [];
+
+    new Set(existingContent.values()).forEach(item => {
+      const urls = recordUrls(item);
+      if (urls.some(url => scrapedUrls.has(url))) return;
+
+      if (item.removed) {
+        // Tombstones are kept as-is so removedAt stays the date we first noticed
+        allContent.push(item);
+      } else if (!urls.some(url => inSitemap.has(url))) {
+        droppedUrls.push(item);
+      } else if (!FORCE_RESCRAPE) {
+        // Update lastChecked but keep everything else the same
+        item.lastChecked = new Date().toISOString();
+        allContent.push(item);
+        stats.skipped++;
+      }
+    });
+
+    // Known pages that vanished from the sitemap: find out whether they 404 or redirect. With a
+    // sitemap missing, its pages only look dropped, so the check waits for a run that loads them all
+    if (stats.sitemapFailures > 0 && droppedUrls.length > 0) {
+      console.log(`\n⚠ ${stats.sitemapFailures} sitemap(s) failed to load - keeping ${droppedUrls.length} unlisted URLs without re-checking`);
+      allContent.push(...droppedUrls);
+    } else if (droppedUrls.length > 0) {
+      console.log(`\nChecking ${droppedUrls.length} known URLs no longer in the sitemap...`);
+      await runWorkerPool(droppedUrls, concurrency, async (item) => {
+        allContent.push(await checkDroppedUrl(item));
       });
     }
 
+    existingMerged = true;
+
     // Final save
-    await saveContent();
+    await queueSave(queue);
+    await recordRun(startedAt, queue);
 
     // Print summary
     console.log('\n\n' + '='.repeat(60));
     console.log('SCRAPING COMPLETE');
     console.log('='.repeat(60));
-    console.log(`Total URLs in sitemap: ${urls.length}`);
+    console.log(`Total URLs in sitemap: ${sitemapUrls.length}`);
+    console.log(`Excluded by robots.txt: ${stats.robotsExcluded}`);
     console.log(`Newly scraped: ${stats.successful}`);
+    if (REFRESH) {
+      console.log(`Not modified (304): ${stats.notModified}`);
+    }
+    console.log(`Revised since last scrape: ${stats.changed}`);
     console.log(`Previously scraped (kept): ${stats.skipped}`);
+    console.log(`Removed (404, 410 or redirected): ${stats.removed}`);
     console.log(`Failed: ${stats.failed}`);
     console.log(`Total content saved: ${allContent.length}`);
     console.log(`New Content: ${allContent.filter(item => item.isNew).length}`);
     console.log(`Saved to: ${DATA_FILE}`);
 
-    if (stats.failedUrls.length > 0 && stats.failedUrls.length <= 20) {
-      console.log('\nFailed URLs:');
-      stats.failedUrls.forEach(url => console.log(`  - ${url}`));
-    } else if (stats.failedUrls.length > 20) {
-      console.log(`\n${stats.failedUrls.length} URLs failed (too many to list)`);
-    }
+    printFailures('Permanent failures (not retried, e.g. 404)', stats.failedUrls.filter(f => f.permanent));
+    printFailures('Transient failures (gave up after retries)', stats.failedUrls.filter(f => !f.permanent));
 
     console.log('\n' + '='.repeat(60));
 
@@ -513,4 +2054,14 @@ if (require.main === module) {
   });
 }
 
-module.exports = { fetchSitemapUrls, scrapePage };
+module.exports = {
+  fetchSitemapUrls,
+  scrapePage,
+  extractBodyContent,
+  generateId,
+  normalizeUrl,
+  dedupeRecords,
+  getConditionalHeaders,
+  notModifiedRecord,
+  resumeQueue
+};
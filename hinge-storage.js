@@ -0,0 +1,466 @@
+/**
+ * Storage
+ *
+ * One interface over where the dataset, change log and run history live, shared by the
+ * scrapers, analyzer, report and intelligence generator. config.storage.backend picks:
+ *   json   - hinge-content.json, hinge-changes.json and history/ (default)
+ *   sqlite - a single SQLite file (sql.js, so no native build and no network needed).
+ *            hinge-content.json and hinge-changes.json are still written as an export
+ *            unless storage.exportJson is false.
+ *
+ * Every backend provides:
+ *   loadDataset()                  -> { schemaVersion, lastUpdated, totalContent, content, summary } or null
+ *   saveDataset(dataset)
+ *   loadChanges()                  -> change-log entries, oldest first
+ *   appendChanges(entries)
+ *   recordRun(dataset, manifest)   -> the stored run manifest
+ *   listRuns()                     -> run manifests, oldest first
+ *   loadAsOf(date)                 -> { run, data } from the last run finished by then, or null
+ *   close()
+ *
+ * Datasets are migrated to the current schema (hinge-schema.js) on every load and
+ * validated before every save, whichever backend is used.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const history = require('./hinge-history');
+const { SCHEMA_VERSION, validateDataset, assertValidDataset } = require('./hinge-schema');
+const { migrateDataset } = require('./hinge-migrations');
+
+const config = require('./config.json');
+const storageConfig = config.storage || {};
+
+const DATA_FILE = path.join(__dirname, (config.output && config.output.dataFile) || 'hinge-content.json');
+const CHANGES_FILE = path.join(__dirname, 'hinge-changes.json');
+const SQLITE_FILE = path.join(__dirname, storageConfig.sqliteFile || 'hinge.db');
+
+// Fields that change on every run without the page changing - kept per snapshot, not per version
+const VOLATILE_FIELDS = ['lastChecked', 'isNew', 'fetchAttempts'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS content (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    title TEXT,
+    content_type TEXT,
+    publish_date TEXT,
+    first_seen TEXT,
+    last_checked TEXT,
+    removed INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS content_url ON content (url);
+  CREATE TABLE IF NOT EXISTS links (
+    source_id TEXT NOT NULL,
+    target_url TEXT NOT NULL,
+    text TEXT
+  );
+  CREATE INDEX IF NOT EXISTS links_target ON links (target_url);
+  CREATE TABLE IF NOT EXISTS changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    content_id TEXT,
+    url TEXT NOT NULL,
+    detected_at TEXT NOT NULL,
+    changed_fields TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS runs (
+    run_id TEXT PRIMARY KEY,
+    mode TEXT,
+    started_at TEXT,
+    finished_at TEXT NOT NULL,
+    duration_ms INTEGER,
+    counts TEXT,
+    failures TEXT,
+    resume_of TEXT,
+    schema_version INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS content_versions (
+    hash TEXT PRIMARY KEY,
+    content_id TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS snapshots (
+    run_id TEXT NOT NULL,
+    content_id TEXT NOT NULL,
+    version_hash TEXT NOT NULL,
+    last_checked TEXT,
+    is_new INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (run_id, content_id)
+  );
+`;
+
+/**
+ * Read a JSON file, or return fallback if it doesn't exist yet
+ */
+async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Stamp the current schema version and refuse to write anything that doesn't match it
+ */
+function prepareDataset(dataset) {
+  const { schemaVersion, ...rest } = dataset;
+  const stamped = { schemaVersion: SCHEMA_VERSION, ...rest };
+  assertValidDataset(stamped, 'dataset - not saving');
+  return stamped;
+}
+
+async function writeDatasetJson(dataset) {
+  await history.writeFileAtomic(DATA_FILE, JSON.stringify(prepareDataset(dataset), null, 2), 'utf8');
+}
+
+/**
+ * Upgrade a dataset read from anywhere to the current schema; problems are returned, not thrown
+ */
+function migrateAndValidate(data) {
+  if (!data || !Array.isArray(data.content)) return validateDataset(data);
+  migrateDataset(data);
+  return validateDataset(data);
+}
+
+async function appendChangesJson(entries) {
+  const log = await readJsonFile(CHANGES_FILE, { lastUpdated: null, changes: [] });
+  log.changes.push(...entries);
+  log.lastUpdated = new Date().toISOString();
+  await history.writeFileAtomic(CHANGES_FILE, JSON.stringify(log, null, 2), 'utf8');
+}
+
+/**
+ * Load DATA_FILE, migrated to the current schema. A truncated, malformed or schema-invalid
+ * file is copied aside and the last snapshot that validates is used instead; with no good
+ * snapshot, loading fails.
+ */
+async function loadDatasetJson() {
+  let raw;
+  try {
+    raw = await fs.readFile(DATA_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let data;
+  let problems;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    problems = [`unparseable JSON (${error.message})`];
+  }
+
+  // A file from newer code throws here rather than being treated as corrupt
+  if (!problems) {
+    problems = migrateAndValidate(data);
+    if (problems.length === 0) return data;
+  }
+
+  return recoverFromSnapshots(DATA_FILE, problems, await history.listRuns(), history.loadSnapshot);
+}
+
+/**
+ * Fall back from a corrupt or invalid dataset to the newest run snapshot that passes the same
+ * checks, after copying the damaged file aside. Throws if no snapshot is usable.
+ */
+async function recoverFromSnapshots(file, problems, runs, loadSnapshot) {
+  const shown = problems.length > 5 ? [...problems.slice(0, 5), `...and ${problems.length - 5} more`] : problems;
+  console.error(`✗ ${file} is corrupt or invalid: ${shown.join('; ')}`);
+  try {
+    await fs.copyFile(file, `${file}.corrupt`);
+    console.error(`  Copied it to ${file}.corrupt`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  for (const run of [...runs].reverse()) {
+    try {
+      const snapshot = await loadSnapshot(run);
+      if (migrateAndValidate(snapshot).length === 0) {
+        console.error(`  Recovered ${snapshot.content.length} records from snapshot ${run.runId}`);
+        return snapshot;
+      }
+    } catch (error) {
+      console.error(`  Snapshot ${run.runId} is unreadable too: ${error.message}`);
+    }
+  }
+
+  throw new Error(`${file} is corrupt or invalid and no good snapshot was found - restore it from git or a backup before running again`);
+}
+
+/**
+ * JSON files on disk - the original layout
+ */
+function createJsonStorage() {
+  return {
+    backend: 'json',
+
+    loadDataset: loadDatasetJson,
+
+    saveDataset: writeDatasetJson,
+
+    async loadChanges() {
+      const log = await readJsonFile(CHANGES_FILE, { changes: [] });
+      return log.changes || [];
+    },
+
+    async appendChanges(entries) {
+      if (entries.length === 0) return;
+      await appendChangesJson(entries);
+    },
+
+    recordRun: (dataset, manifest) => history.writeSnapshot(prepareDataset(dataset), manifest),
+
+    listRuns: history.listRuns,
+
+    async loadAsOf(date) {
+      const past = await history.loadAsOf(date);
+      if (past) migrateDataset(past.data);
+      return past;
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * SQLite via sql.js. The database lives in memory and is written back to SQLITE_FILE on every save.
+ */
+async function createSqliteStorage() {
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+
+  let db;
+  try {
+    db = new SQL.Database(await fs.readFile(SQLITE_FILE));
+    db.exec('SELECT COUNT(*) FROM sqlite_master');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      db = new SQL.Database();
+    } else {
+      // Never paper over a damaged database with an empty one
+      throw new Error(`${SQLITE_FILE} could not be opened (${error.message}) - restore it or switch storage.backend to json`);
+    }
+  }
+  db.exec(SCHEMA);
+
+  // Databases created before runs had resume_of or schema_version get the columns added
+  const runColumns = db.exec('PRAGMA table_info(runs)')[0].values.map(column => column[1]);
+  if (!runColumns.includes('resume_of')) db.exec('ALTER TABLE runs ADD COLUMN resume_of TEXT');
+  if (!runColumns.includes('schema_version')) db.exec('ALTER TABLE runs ADD COLUMN schema_version INTEGER');
+
+  const exportJson = storageConfig.exportJson !== false;
+
+  const all = (sql, params = []) => {
+    const statement = db.prepare(sql);
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) rows.push(statement.getAsObject());
+    statement.free();
+    return rows;
+  };
+
+  const persist = async () => {
+    await history.writeFileAtomic(SQLITE_FILE, Buffer.from(db.export()));
+  };
+
+  const getMeta = (key) => {
+    const row = all('SELECT value FROM meta WHERE key = ?', [key])[0];
+    return row ? JSON.parse(row.value) : null;
+  };
+
+  const runFromRow = (row) => ({
+    runId: row.run_id,
+    mode: row.mode,
+    resumeOf: row.resume_of || null,
+    schemaVersion: row.schema_version || null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    counts: JSON.parse(row.counts || '{}'),
+    failures: JSON.parse(row.failures || '[]')
+  });
+
+  const listRuns = async () => all('SELECT * FROM runs ORDER BY finished_at').map(runFromRow);
+
+  // The dataset a run saved, rebuilt from its snapshot rows
+  const loadSnapshot = async (run) => {
+    const content = all(`SELECT v.data, s.last_checked, s.is_new
+      FROM snapshots s JOIN content_versions v ON v.hash = s.version_hash
+      WHERE s.run_id = ?`, [run.runId])
+      .map(snapshot => ({
+        ...JSON.parse(snapshot.data),
+        lastChecked: snapshot.last_checked,
+        isNew: snapshot.is_new === 1
+      }));
+
+    // Runs recorded before snapshots were tagged with their schema are treated as the oldest
+    const data = { schemaVersion: run.schemaVersion || 1, lastUpdated: run.finishedAt, totalContent: content.length, content };
+    migrateDataset(data);
+    return data;
+  };
+
+  return {
+    backend: 'sqlite',
+
+    /**
+     * The current records, migrated. Rows that don't parse or validate fall back to the newest
+     * run snapshot that does, as the JSON backend does.
+     */
+    async loadDataset() {
+      let data;
+      let problems;
+      try {
+        const content = all('SELECT data FROM content ORDER BY rowid').map(row => JSON.parse(row.data));
+        if (content.length === 0 && getMeta('lastUpdated') === null) return null;
+
+        data = {
+          schemaVersion: getMeta('schemaVersion') || 1,
+          lastUpdated: getMeta('lastUpdated'),
+          totalContent: content.length,
+          content,
+          summary: getMeta('summary')
+        };
+      } catch (error) {
+        problems = [`unreadable content rows (${error.message})`];
+      }
+
+      // A dataset from newer code throws here rather than being treated as corrupt
+      if (!problems) {
+        problems = migrateAndValidate(data);
+        if (problems.length === 0) return data;
+      }
+
+      return recoverFromSnapshots(SQLITE_FILE, problems, await listRuns(), loadSnapshot);
+    },
+
+    async saveDataset(dataset) {
+      dataset = prepareDataset(dataset);
+
+      db.exec('BEGIN');
+      try {
+        db.exec('DELETE FROM content; DELETE FROM links;');
+        const insertContent = db.prepare(`INSERT INTO content
+          (id, url, title, content_type, publish_date, first_seen, last_checked, removed, data)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`);
+        const insertLink = db.prepare('INSERT INTO links (source_id, target_url, text) VALUES (?, ?, ?)');
+
+        dataset.content.forEach(item => {
+          insertContent.run([
+            item.id, item.url, item.title || null, item.contentType || null, item.publishDate || null,
+            item.firstSeen || null, item.lastChecked || null, item.removed ? 1 : 0, JSON.stringify(item)
+          ]);
+          (item.links || []).forEach(link => insertLink.run([item.id, link.url, link.text || null]));
+        });
+        insertContent.free();
+        insertLink.free();
+
+        const setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+        setMeta.run(['schemaVersion', JSON.stringify(dataset.schemaVersion)]);
+        setMeta.run(['lastUpdated', JSON.stringify(dataset.lastUpdated)]);
+        setMeta.run(['summary', JSON.stringify(dataset.summary || null)]);
+        setMeta.free();
+
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+
+      await persist();
+      if (exportJson) await writeDatasetJson(dataset);
+    },
+
+    async loadChanges() {
+      return all('SELECT data FROM changes ORDER BY id').map(row => JSON.parse(row.data));
+    },
+
+    async appendChanges(entries) {
+      if (entries.length === 0) return;
+
+      const insert = db.prepare('INSERT INTO changes (content_id, url, detected_at, changed_fields, data) VALUES (?, ?, ?, ?, ?)');
+      entries.forEach(entry => {
+        insert.run([entry.id || null, entry.url, entry.detectedAt, JSON.stringify(entry.changedFields), JSON.stringify(entry)]);
+      });
+      insert.free();
+
+      await persist();
+      if (exportJson) await appendChangesJson(entries);
+    },
+
+    async recordRun(dataset, manifest) {
+      dataset = prepareDataset(dataset);
+
+      db.exec('BEGIN');
+      try {
+        db.run('INSERT INTO runs (run_id, mode, resume_of, schema_version, started_at, finished_at, duration_ms, counts, failures) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)', [
+          manifest.runId, manifest.mode, manifest.resumeOf || null, dataset.schemaVersion, manifest.startedAt, manifest.finishedAt, manifest.durationMs,
+          JSON.stringify(manifest.counts || {}), JSON.stringify(manifest.failures || [])
+        ]);
+
+        // Each distinct version of a record is stored once; snapshots point at versions
+        const insertVersion = db.prepare('INSERT OR IGNORE INTO content_versions (hash, content_id, data) VALUES (?, ?, ?)');
+        const insertSnapshot = db.prepare('INSERT INTO snapshots (run_id, content_id, version_hash, last_checked, is_new) VALUES (?, ?, ?, ?, ?)');
+
+        dataset.content.forEach(item => {
+          const stable = { ...item };
+          VOLATILE_FIELDS.forEach(field => delete stable[field]);
+          const data = JSON.stringify(stable);
+          const hash = crypto.createHash('md5').update(data).digest('hex');
+
+          insertVersion.run([hash, item.id, data]);
+          insertSnapshot.run([manifest.runId, item.id, hash, item.lastChecked || null, item.isNew ? 1 : 0]);
+        });
+        insertVersion.free();
+        insertSnapshot.free();
+
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+
+      await persist();
+      return { ...manifest };
+    },
+
+    listRuns,
+
+    async loadAsOf(date) {
+      const cutoff = new Date(date).toISOString();
+      const row = all('SELECT * FROM runs WHERE finished_at <= ? ORDER BY finished_at DESC LIMIT 1', [cutoff])[0];
+      if (!row) return null;
+
+      const run = runFromRow(row);
+      return { run, data: await loadSnapshot(run) };
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Open the configured storage backend
+ */
+async function openStorage() {
+  const backend = storageConfig.backend || 'json';
+
+  if (backend === 'json') return createJsonStorage();
+  if (backend === 'sqlite') return createSqliteStorage();
+
+  throw new Error(`Unknown storage backend "${backend}" (expected "json" or "sqlite")`);
+}
+
+module.exports = { openStorage, SQLITE_FILE };
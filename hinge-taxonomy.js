@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+
+/**
+ * Topic Taxonomy
+ *
+ * Loads the user-editable topic taxonomy that hinge-core.js matches content against
+ * (taxonomy.json, or analysis.taxonomyFile in config.json). Each category holds a tree of topics:
+ *
+ *   {
+ *     "name": "back pain",                 matched as a phrase; the name reports use
+ *     "synonyms": ["lower back pain"],     more phrases that count as this topic
+ *     "patterns": ["lumbar (pain|strain)"],  case-insensitive regular expressions
+ *     "exclude": ["back pain belt"],       mentions inside these phrases don't count
+ *     "minCount": 3,                       below this many pieces is "limited coverage"
+ *     "children": [ ... ]                  narrower topics, which reports can roll up into this one
+ *   }
+ *
+ * Names, synonyms and exclusions match whole words in sequence, ignoring case, punctuation
+ * and plurals - so "ai" doesn't match "pain", and "studies" matches "study". Patterns are tested against the
+ * raw text, so put \b in them where word boundaries matter.
+ *
+ * Run this file directly to check the taxonomy against the current content:
+ *   node hinge-taxonomy.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { openStorage } = require('./hinge-storage');
+
+const config = require('./config.json');
+
+const TAXONOMY_FILE = path.join(__dirname, (config.analysis && config.analysis.taxonomyFile) || 'taxonomy.json');
+const DEFAULT_MIN_COUNT = 5;
+const TOPIC_KEYS = ['name', 'synonyms', 'patterns', 'exclude', 'minCount', 'children'];
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_RADIUS = 40;
+
+/**
+ * Crude plural stripping so "studies" matches "study" and "employers" matches "employer".
+ * Short words and -ss/-us/-is endings ("wellness", "focus", "analysis") are left alone.
+ */
+function stem(word) {
+  if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (/(x|z|ch|sh|ss)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Words in text as { stem, start, end }, with offsets into the original string
+ */
+function tokenize(text) {
+  return Array.from(String(text || '').matchAll(WORD_PATTERN), match => ({
+    stem: stem(match[0].toLowerCase()),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * A phrase as its list of stems, e.g. "value-based care" -> ["value", "based", "care"]
+ */
+function phraseStems(phrase) {
+  return tokenize(phrase).map(token => token.stem);
+}
+
+/**
+ * The text fields of a record that topics are matched in - by the classifier in hinge-core.js
+ * and by the coverage check below
+ */
+function recordFields(item) {
+  return {
+    title: item.title || '',
+    meta: item.metaDescription || '',
+    url: urlPath(item.url),
+    headings: Array.isArray(item.headings) ? item.headings.map(heading => heading.text).join('\n') : '',
+    body: typeof item.bodyText === 'string' ? item.bodyText : ''
+  };
+}
+
+// The path of a URL with its slug separators as spaces, e.g. "/articles/back pain exercises/"
+function urlPath(url) {
+  if (!url) return '';
+  try {
+    return decodeURIComponent(new URL(url).pathname).replace(/[-_]/g, ' ');
+  } catch {
+    return String(url).replace(/[-_]/g, ' ');
+  }
+}
+
+/**
+ * Tokenize text once so it can be matched against every topic. matchTopic() and
+ * findTopicMatch() accept either a prepared text or a plain string.
+ */
+function prepareText(text) {
+  if (text && text.tokens) return text;
+
+  const tokens = tokenize(text);
+  const positions = new Map();
+  tokens.forEach((token, index) => {
+    if (!positions.has(token.stem)) positions.set(token.stem, []);
+    positions.get(token.stem).push(index);
+  });
+  return { text: String(text || ''), tokens, positions };
+}
+
+/**
+ * Character span of the first place a phrase's stems appear consecutively, or null
+ */
+function findPhrase(prepared, stems) {
+  const [first] = findPhrases(prepared, stems, 1);
+  return first || null;
+}
+
+/**
+ * Character spans of every place (up to limit) a phrase's stems appear consecutively
+ */
+function findPhrases(prepared, stems, limit = Infinity) {
+  const spans = [];
+  const starts = prepared.positions.get(stems[0]) || [];
+  for (const index of starts) {
+    if (spans.length >= limit) break;
+    if (stems.every((stemmed, offset) => prepared.tokens[index + offset] && prepared.tokens[index + offset].stem === stemmed)) {
+      spans.push({ start: prepared.tokens[index].start, end: prepared.tokens[index + stems.length - 1].end });
+    }
+  }
+  return spans;
+}
+
+/**
+ * The text around a match, widened to whole words and marked with … where it was cut
+ */
+function evidenceSnippet(text, start, end, radius = SNIPPET_RADIUS) {
+  let from = Math.max(0, start - radius);
+  let to = Math.min(text.length, end + radius);
+  while (from > 0 && /\S/.test(text[from - 1])) from--;
+  while (to < text.length && /\S/.test(text[to])) to++;
+
+  const snippet = text.slice(from, to).replace(/\s+/g, ' ').trim();
+  return `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Topic path for messages, e.g. "clinical: musculoskeletal > chronic pain > back pain"
+ */
+function describeTopic(topic) {
+  return `${topic.category}: ${topic.path.join(' > ')}`;
+}
+
+function stringList(node, key, where, problems) {
+  const value = node[key] === undefined ? [] : node[key];
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    problems.push(`${where}: "${key}" should be a list of non-empty strings`);
+    return [];
+  }
+  return value.map(item => item.trim());
+}
+
+/**
+ * Turn a parsed taxonomy into a flat list of topics (parents before children).
+ * Structural problems - missing names, duplicates, bad regexes, unknown keys - throw.
+ */
+function compileTaxonomy(raw, source = TAXONOMY_FILE) {
+  if (!raw || typeof raw.categories !== 'object' || Array.isArray(raw.categories)) {
+    throw new Error(`Invalid taxonomy ${source}: expected a "categories" object`);
+  }
+
+  const defaultMinCount = raw.defaults && raw.defaults.minCount !== undefined ? raw.defaults.minCount : DEFAULT_MIN_COUNT;
+  const problems = [];
+  const topics = [];
+
+  const visit = (node, category, parentPath, names) => {
+    if (!node || typeof node.name !== 'string' || !node.name.trim()) {
+      problems.push(`${[category, ...parentPath].join(' > ')}: topic without a name`);
+      return null;
+    }
+
+    const name = node.name.trim();
+    const topicPath = [...parentPath, name];
+    const where = `${category}: ${topicPath.join(' > ')}`;
+
+    if (names.has(name)) problems.push(`${where}: "${name}" appears twice in ${category}`);
+    names.add(name);
+
+    Object.keys(node)
+      .filter(key => !TOPIC_KEYS.includes(key))
+      .forEach(key => problems.push(`${where}: unknown key "${key}" (expected ${TOPIC_KEYS.join(', ')})`));
+
+    const patterns = [];
+    stringList(node, 'patterns', where, problems).forEach(source => {
+      try {
+        patterns.push(new RegExp(source, 'i'));
+      } catch (error) {
+        problems.push(`${where}: bad pattern /${source}/ (${error.message})`);
+      }
+    });
+
+    const terms = [name, ...stringList(node, 'synonyms', where, problems)].map(term => term.toLowerCase());
+    const exclude = stringList(node, 'exclude', where, problems).map(term => term.toLowerCase());
+    [...terms, ...exclude]
+      .filter(term => phraseStems(term).length === 0)
+      .forEach(term => problems.push(`${where}: "${term}" has no letters or digits to match`));
+
+    const minCount = node.minCount === undefined ? defaultMinCount : node.minCount;
+    if (!Number.isInteger(minCount) || minCount < 0) problems.push(`${where}: "minCount" should be a whole number`);
+
+    const topic = {
+      name,
+      category,
+      path: topicPath,
+      depth: topicPath.length,
+      parent: parentPath.length > 0 ? parentPath[parentPath.length - 1] : null,
+      terms,
+      termStems: terms.map(phraseStems),
+      patterns,
+      exclude,
+      excludeStems: exclude.map(phraseStems),
+      minCount,
+      children: []
+    };
+    topics.push(topic);
+
+    const children = node.children === undefined ? [] : node.children;
+    if (!Array.isArray(children)) {
+      problems.push(`${where}: "children" should be a list of topics`);
+    } else {
+      children.forEach(child => {
+        const compiled = visit(child, category, topicPath, names);
+        if (compiled) topic.children.push(compiled.name);
+      });
+    }
+
+    return topic;
+  };
+
+  Object.entries(raw.categories).forEach(([category, roots]) => {
+    if (!Array.isArray(roots)) {
+      problems.push(`${category}: should be a list of topics`);
+      return;
+    }
+    const names = new Set();
+    roots.forEach(root => visit(root, category, [], names));
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid taxonomy ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  return { source, categories: Object.keys(raw.categories), topics };
+}
+
+/**
+ * Read and compile the taxonomy file
+ */
+function loadTaxonomy(file = TAXONOMY_FILE) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read taxonomy ${file}: ${error.message}`);
+  }
+  return compileTaxonomy(raw, file);
+}
+
+/**
+ * Where text first mentions a topic - { term, start, end, text, snippet, mentions } - or null if
+ * it doesn't. Mentions that sit inside one of the topic's excluded phrases ("study" in "case
+ * study") don't count; other mentions in the same text still do. term is the name or synonym
+ * that matched, or /pattern/ for a regular expression; mentions counts every place it matched.
+ */
+function findTopicMatch(topic, text) {
+  const prepared = prepareText(text);
+  const excluded = topic.excludeStems.flatMap(stems => findPhrases(prepared, stems));
+  const allowed = (span) => !excluded.some(outer => span.start >= outer.start && span.end <= outer.end);
+
+  let match = null;
+  const starts = new Set();
+  topic.termStems.forEach((stems, index) => {
+    const spans = findPhrases(prepared, stems).filter(allowed);
+    spans.forEach(span => starts.add(span.start));
+    if (spans.length > 0 && (!match || spans[0].start < match.start)) match = { term: topic.terms[index], ...spans[0] };
+  });
+  if (!match) {
+    for (const pattern of topic.patterns) {
+      const found = Array.from(prepared.text.matchAll(new RegExp(pattern.source, 'gi')))
+        .filter(each => allowed({ start: each.index, end: each.index + each[0].length }));
+      if (found.length > 0) {
+        match = { term: `/${pattern.source}/`, start: found[0].index, end: found[0].index + found[0][0].length };
+        found.forEach(each => starts.add(each.index));
+        break;
+      }
+    }
+  }
+
+  if (!match) return null;
+  return {
+    ...match,
+    text: prepared.text.slice(match.start, match.end),
+    snippet: evidenceSnippet(prepared.text, match.start, match.end),
+    mentions: starts.size
+  };
+}
+
+/**
+ * Whether text mentions a topic (by name, synonym or pattern) outside its excluded phrases
+ */
+function matchTopic(topic, text) {
+  return findTopicMatch(topic, text) !== null;
+}
+
+// Whether one phrase's stems appear consecutively inside another's
+function containsPhrase(stems, inner) {
+  for (let index = 0; index + inner.length <= stems.length; index++) {
+    if (inner.every((stemmed, offset) => stems[index + offset] === stemmed)) return true;
+  }
+  return false;
+}
+
+// Topics on the same branch are expected to share wording ("study" / "clinical study")
+function sameBranch(a, b) {
+  if (a.category !== b.category) return false;
+  const [shorter, longer] = a.depth <= b.depth ? [a, b] : [b, a];
+  return shorter.path.every((name, index) => longer.path[index] === name);
+}
+
+/**
+ * Warnings about a taxonomy measured against content: terms and patterns that match
+ * no piece in any field the classifier reads, and terms that overlap another topic's
+ * (so one mention counts twice)
+ */
+function lintTaxonomy(taxonomy, content) {
+  const texts = content.flatMap(item => Object.values(recordFields(item)).filter(Boolean).map(text => prepareText(text)));
+  const warnings = [];
+
+  taxonomy.topics.forEach(topic => {
+    topic.terms.forEach((term, index) => {
+      const first = topic.termStems.findIndex(stems => stems.join(' ') === topic.termStems[index].join(' '));
+      if (first < index) {
+        warnings.push(`"${term}" (${describeTopic(topic)}) repeats "${topic.terms[first]}" - plurals already match`);
+        return;
+      }
+      if (!texts.some(text => findPhrase(text, topic.termStems[index]))) {
+        warnings.push(`"${term}" (${describeTopic(topic)}) matches no content`);
+      }
+    });
+    topic.patterns.forEach(pattern => {
+      if (!texts.some(text => pattern.test(text.text))) {
+        warnings.push(`/${pattern.source}/ (${describeTopic(topic)}) matches no content`);
+      }
+    });
+  });
+
+  taxonomy.topics.forEach((topic, index) => {
+    taxonomy.topics.slice(index + 1).forEach(other => {
+      if (sameBranch(topic, other)) return;
+
+      [[topic, other], [other, topic]].forEach(([a, b]) => {
+        a.terms.forEach((term, index) => {
+          b.terms.forEach((otherTerm, otherIndex) => {
+            const stems = a.termStems[index];
+            const otherStems = b.termStems[otherIndex];
+            if (stems.join(' ') === otherStems.join(' ')) {
+              if (a === topic) warnings.push(`"${term}" is a term of both ${describeTopic(a)} and ${describeTopic(b)}`);
+            } else if (containsPhrase(otherStems, stems)) {
+              warnings.push(`"${term}" (${describeTopic(a)}) also matches inside "${otherTerm}" (${describeTopic(b)})`);
+            }
+          });
+        });
+        a.patterns.forEach(pattern => {
+          b.terms
+            .filter(otherTerm => pattern.test(otherTerm))
+            .forEach(otherTerm => warnings.push(`/${pattern.source}/ (${describeTopic(a)}) also matches "${otherTerm}" (${describeTopic(b)})`));
+        });
+      });
+    });
+  });
+
+  return warnings;
+}
+
+async function main() {
+  const taxonomy = loadTaxonomy();
+  const depth = Math.max(...taxonomy.topics.map(topic => topic.depth));
+  console.log(`✓ ${path.basename(taxonomy.source)}: ${taxonomy.topics.length} topics in ${taxonomy.categories.length} categories, up to ${depth} levels deep`);
+
+  const storage = await openStorage();
+  const data = await storage.loadDataset();
+  await storage.close();
+
+  if (!data) {
+    console.log('No content yet - skipping the coverage check (npm run scrape)');
+    return;
+  }
+
+  const live = data.content.filter(item => !item.removed);
+  const warnings = lintTaxonomy(taxonomy, live);
+  if (warnings.length === 0) {
+    console.log(`✓ Every term matches some of the ${live.length} live pieces and no terms overlap`);
+    return;
+  }
+
+  console.log(`\n⚠ ${warnings.length} warning(s) against ${live.length} live pieces:`);
+  warnings.forEach(warning => console.log(`  - ${warning}`));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('✗', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  TAXONOMY_FILE,
+  compileTaxonomy,
+  loadTaxonomy,
+  stem,
+  tokenize,
+  phraseStems,
+  recordFields,
+  prepareText,
+  findPhrase,
+  findPhrases,
+  findTopicMatch,
+  containsPhrase,
+  evidenceSnippet,
+  matchTopic,
+  lintTaxonomy,
+  describeTopic
+};
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * One-time migration: normalize URLs in hinge-content.json, re-derive IDs from the
+ * normalized URL and merge records that turn out to be the same page
+ */
+
+const { generateId, normalizeUrl, dedupeRecords } = require('./hinge-scraper-sitemap');
+const { openStorage } = require('./hinge-storage');
+
+async function migrateUrls() {
+  console.log('Loading existing content...');
+  const storage = await openStorage();
+  const data = await storage.loadDataset();
+  if (!data) {
+    console.error('No content found. Run the scraper first: npm run scrape');
+    await storage.close();
+    return;
+  }
+  const before = data.content.length;
+
+  console.log(`Normalizing URLs for ${before} items...\n`);
+
+  let renamed = 0;
+  let reidentified = 0;
+
+  const normalized = data.content.map(item => {
+    const url = normalizeUrl(item.url) || item.url;
+    const id = generateId(url);
+
+    if (url !== item.url) renamed++;
+    if (id !== item.id) reidentified++;
+
+    return {
+      ...item,
+      id,
+      url,
+      sourceUrls: [...new Set([url, ...(item.sourceUrls || []).map(source => normalizeUrl(source) || source)])]
+    };
+  });
+
+  data.content = dedupeRecords(normalized);
+  data.totalContent = data.content.length;
+
+  // Save updated data (validated against the schema before it's written)
+  await storage.saveDataset(data);
+  await storage.close();
+
+  console.log('✓ URLs migrated!');
+  console.log(`\nURLs normalized: ${renamed}`);
+  console.log(`IDs changed: ${reidentified}`);
+  console.log(`Duplicates merged: ${before - data.content.length}`);
+  console.log(`Records: ${before} → ${data.content.length}`);
+
+  console.log(`\n✓ Updated content saved (${storage.backend} storage)`);
+}
+
+migrateUrls().catch(error => {
+  console.error('✗ URL migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,46 @@
+/**
+ * Topic and audience classification from a page's body text
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { topicAssignments, audienceAssignments, determineAudience } = require('../hinge-core');
+
+const page = {
+  title: 'Quarterly update',
+  metaDescription: '',
+  categories: [],
+  contentType: 'article',
+  url: 'https://www.hingehealth.com/resources/articles/quarterly-update/'
+};
+
+test('body mentions gain confidence with repetition; headings count on their own', () => {
+  const confidenceOf = (item, name) => {
+    const assignment = topicAssignments(item).find(candidate => candidate.topic === name);
+    return assignment ? assignment.confidence : 0;
+  };
+
+  assert.equal(confidenceOf({ ...page, bodyText: 'Sciatica came up once.' }, 'sciatica'), 0.3);
+  assert.equal(confidenceOf({ ...page, bodyText: 'Sciatica hurts. Sciatica is common.' }, 'sciatica'), 0.51);
+  assert.ok(confidenceOf({
+    ...page,
+    bodyText: 'Sciatica basics\nMore text',
+    headings: [{ level: 2, text: 'Sciatica basics' }]
+  }, 'sciatica') >= 0.5);
+});
+
+test('repeated audience terms in the body assign that audience', () => {
+  const item = { ...page, bodyText: 'Members love it. Our members say so. One member wrote in.' };
+  assert.deepEqual(determineAudience(item), ['members']);
+
+  const [assignment] = audienceAssignments(item);
+  assert.equal(assignment.field, 'body');
+  assert.equal(assignment.span.text, 'Members');
+  assert.equal(assignment.confidence, 0.66);
+});
+
+test('audience terms inside longer body words do not count', () => {
+  const item = { ...page, bodyText: 'Remember this. I remember that. Remember the rest.' };
+  assert.deepEqual(determineAudience(item), ['general']);
+  assert.deepEqual(determineAudience({ ...page, bodyText: 'The professor reached a constraint, in proportion.' }), ['general']);
+});
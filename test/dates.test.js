@@ -0,0 +1,66 @@
+/**
+ * Publish dates: the v3 migration that clears copied sitemap lastmods, and date parsing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { migrateDataset } = require('../hinge-migrations');
+const { extractDate } = require('../hinge-core');
+
+const record = (id, fields) => ({
+  id,
+  url: `https://x.test/${id}/`,
+  title: 'A page',
+  contentType: 'article',
+  categories: [],
+  targetAudience: [],
+  ...fields
+});
+
+test('a v1 file keeps the publish dates it has no sitemap lastmod to compare with', () => {
+  const data = {
+    content: [
+      record('a', { publishDate: '2024-03-01', updateDate: null }),
+      record('b', { publishDate: null, updateDate: null })
+    ]
+  };
+
+  assert.deepEqual(migrateDataset(data), [2, 3]);
+  assert.equal(data.content[0].publishDate, '2024-03-01');
+  assert.equal(data.content[1].publishDate, null);
+});
+
+test('v3 clears publish dates copied from the sitemap lastmod and keeps page dates', () => {
+  const data = {
+    schemaVersion: 2,
+    content: [
+      record('copied', { publishDate: '2026-01-02', sitemapLastmod: '2026-01-02T10:00:00.000Z' }),
+      record('marked', { publishDate: '2025-06-01', dateSources: { publishDate: 'sitemap' } }),
+      record('page', { publishDate: '2024-04-01', sitemapLastmod: '2024-04-01', dateSources: { publishDate: 'json-ld:datePublished' } }),
+      record('other', { publishDate: '2024-05-01', sitemapLastmod: '2026-01-02' })
+    ]
+  };
+
+  assert.deepEqual(migrateDataset(data), [3]);
+  assert.deepEqual(data.content.map(item => item.publishDate), [null, null, '2024-04-01', '2024-05-01']);
+});
+
+test('ISO dates keep their calendar day west of UTC', () => {
+  const zone = process.env.TZ;
+  process.env.TZ = 'America/New_York';
+  try {
+    assert.equal(extractDate('2024-05-01'), '2024-05-01');
+    assert.equal(extractDate('2024-05-01T00:00:00Z'), '2024-05-01');
+    assert.equal(extractDate('2024-05-01T23:30:00-07:00'), '2024-05-01');
+    assert.equal(extractDate('May 1, 2024'), '2024-05-01');
+  } finally {
+    if (zone === undefined) delete process.env.TZ;
+    else process.env.TZ = zone;
+  }
+});
+
+test('dates that do not parse become null', () => {
+  assert.equal(extractDate('2024-13-45'), null);
+  assert.equal(extractDate('soon'), null);
+  assert.equal(extractDate(''), null);
+});
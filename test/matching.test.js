@@ -0,0 +1,61 @@
+/**
+ * Topic matching: plural stemming, whole-word phrases and evidence
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stem, tokenize, compileTaxonomy, findTopicMatch, matchTopic } = require('../hinge-taxonomy');
+const { mentionsKeyword } = require('../hinge-core');
+
+const taxonomy = compileTaxonomy({
+  categories: {
+    technology: [{ name: 'ai', children: [{ name: 'machine learning' }] }],
+    market: [{ name: 'value-based care' }, { name: 'study' }],
+    business: [{ name: 'employer' }]
+  }
+}, 'test');
+const topic = (name) => taxonomy.topics.find(candidate => candidate.name === name);
+
+test('stem strips plurals but leaves short words and -ss/-us/-is endings alone', () => {
+  assert.equal(stem('studies'), 'study');
+  assert.equal(stem('employers'), 'employer');
+  assert.equal(stem('processes'), 'process');
+  assert.equal(stem('boxes'), 'box');
+  assert.equal(stem('wellness'), 'wellness');
+  assert.equal(stem('focus'), 'focus');
+  assert.equal(stem('analysis'), 'analysis');
+  assert.equal(stem('was'), 'was');
+});
+
+test('tokenize keeps offsets into the original text', () => {
+  const tokens = tokenize('AI-powered care');
+  assert.deepEqual(tokens.map(token => token.stem), ['ai', 'powered', 'care']);
+  assert.deepEqual(tokens.map(token => [token.start, token.end]), [[0, 2], [3, 10], [11, 15]]);
+});
+
+test('terms match whole words only', () => {
+  assert.ok(matchTopic(topic('ai'), 'AI-powered physical therapy'));
+  assert.ok(!matchTopic(topic('ai'), 'Relieve back pain and maintain strength'));
+  assert.ok(!matchTopic(topic('study'), 'An understudy takes the stage'));
+});
+
+test('terms match plurals and phrases across punctuation', () => {
+  assert.ok(matchTopic(topic('study'), 'Two new studies published'));
+  assert.ok(matchTopic(topic('employer'), 'What employers want'));
+  assert.ok(matchTopic(topic('value-based care'), 'Moving to value based care'));
+  assert.ok(matchTopic(topic('machine learning'), 'Machine-learning models'));
+});
+
+test('a match reports its term, span, snippet and mention count', () => {
+  const match = findTopicMatch(topic('employer'), 'Employers pay. Every employer agrees.');
+  assert.equal(match.term, 'employer');
+  assert.deepEqual([match.start, match.end, match.text], [0, 9, 'Employers']);
+  assert.equal(match.mentions, 2);
+  assert.match(match.snippet, /^Employers pay/);
+});
+
+test('short messaging keywords match whole words, longer ones substrings', () => {
+  assert.ok(mentionsKeyword('New AI tools', 'ai'));
+  assert.ok(!mentionsKeyword('Chronic pain', 'ai'));
+  assert.ok(mentionsKeyword('Better outcomes', 'outcome'));
+});
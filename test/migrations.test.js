@@ -0,0 +1,75 @@
+/**
+ * Schema migrations and validation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SCHEMA_VERSION, validateDataset } = require('../hinge-schema');
+const { migrateDataset } = require('../hinge-migrations');
+
+const legacyRecord = (fields) => ({
+  id: 'a',
+  url: 'https://x.test/a/',
+  title: 'A page',
+  contentType: 'article',
+  categories: [],
+  targetAudience: [],
+  ...fields
+});
+
+test('an unversioned dataset is upgraded to the current schema and validates', () => {
+  const data = {
+    content: [
+      legacyRecord({ contentType: 'blog', updateDate: '2024-02-01' }),
+      legacyRecord({ id: 'b', url: 'https://x.test/b/', contentType: 'for-organizations', title: 'The State of MSK Report' })
+    ]
+  };
+
+  const applied = migrateDataset(data);
+
+  assert.equal(applied[0], 2);
+  assert.equal(data.schemaVersion, SCHEMA_VERSION);
+  assert.equal(data.content[0].contentType, 'article');
+  assert.equal(data.content[0].modifiedDate, '2024-02-01');
+  assert.equal('updateDate' in data.content[0], false);
+  assert.equal(data.content[1].contentType, 'report-guide');
+  assert.deepEqual(validateDataset(data), []);
+});
+
+test('missing list fields and meta descriptions get defaults', () => {
+  const data = { content: [{ id: 'a', url: 'https://x.test/a/', contentType: 'article' }] };
+  migrateDataset(data);
+  assert.deepEqual(data.content[0], {
+    id: 'a',
+    url: 'https://x.test/a/',
+    contentType: 'article',
+    title: '',
+    categories: [],
+    targetAudience: [],
+    metaDescription: ''
+  });
+});
+
+test('a dataset already at the current version is left alone', () => {
+  const data = { schemaVersion: SCHEMA_VERSION, content: [legacyRecord({ publishDate: '2024-03-01' })] };
+  assert.deepEqual(migrateDataset(data), []);
+  assert.equal(data.content[0].publishDate, '2024-03-01');
+});
+
+test('a dataset from newer code is refused', () => {
+  assert.throws(() => migrateDataset({ schemaVersion: SCHEMA_VERSION + 1, content: [] }), /newer than this code/);
+});
+
+test('validation reports retired fields, bad dates and duplicate ids', () => {
+  const problems = validateDataset({
+    schemaVersion: SCHEMA_VERSION,
+    content: [
+      legacyRecord({ updateDate: '2024-01-01' }),
+      legacyRecord({ publishDate: 'March 2024' })
+    ]
+  });
+
+  assert.ok(problems.some(problem => problem.includes('updateDate is retired')));
+  assert.ok(problems.some(problem => problem.includes('publishDate "March 2024" is not in the expected format')));
+  assert.ok(problems.some(problem => problem.includes('duplicate id a')));
+});
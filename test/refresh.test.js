@@ -0,0 +1,53 @@
+/**
+ * --refresh: conditional requests and 304 responses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getConditionalHeaders, notModifiedRecord } = require('../hinge-scraper-sitemap');
+
+const known = {
+  id: 'a',
+  url: 'https://x.test/a/',
+  title: 'A page',
+  etag: '"abc"',
+  lastModified: 'Wed, 01 May 2024 00:00:00 GMT',
+  sitemapLastmod: '2024-05-01',
+  lastChecked: '2024-05-02T00:00:00.000Z',
+  isNew: true
+};
+
+test('conditional headers come from the validators saved at the last fetch', () => {
+  assert.deepEqual(getConditionalHeaders(known), {
+    'If-None-Match': '"abc"',
+    'If-Modified-Since': 'Wed, 01 May 2024 00:00:00 GMT'
+  });
+  assert.deepEqual(getConditionalHeaders(undefined), {});
+});
+
+test('a tombstoned page is fetched without conditional headers', () => {
+  const tombstone = { ...known, removed: true, removedAt: '2025-01-01T00:00:00.000Z', removalReason: 'not-found' };
+  assert.deepEqual(getConditionalHeaders(tombstone), {});
+});
+
+test('a 304 keeps the record and only bumps lastChecked', () => {
+  const record = notModifiedRecord(known, '2024-06-01', 1);
+  assert.equal(record.title, 'A page');
+  assert.equal(record.sitemapLastmod, '2024-06-01');
+  assert.equal(record.fetchAttempts, 1);
+  assert.equal(record.isNew, false);
+  assert.ok(record.lastChecked > known.lastChecked);
+});
+
+test('a 304 on a tombstoned record brings it back live', () => {
+  const record = notModifiedRecord({
+    ...known,
+    removed: true,
+    removedAt: '2025-01-01T00:00:00.000Z',
+    removalReason: 'redirected',
+    redirectTarget: 'https://x.test/b/'
+  }, null, 1);
+
+  assert.equal(record.sitemapLastmod, '2024-05-01');
+  ['removed', 'removedAt', 'removalReason', 'redirectTarget'].forEach(field => assert.equal(field in record, false));
+});
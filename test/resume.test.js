@@ -0,0 +1,41 @@
+/**
+ * Picking a saved scrape queue back up with --resume and --retry-failed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resumeQueue } = require('../hinge-scraper-sitemap');
+
+const savedQueue = (finished) => ({
+  runId: '2026-10-01T08-00-00-000Z',
+  mode: 'full',
+  finished,
+  items: [
+    { url: 'https://x.test/a/', status: 'done' },
+    { url: 'https://x.test/b/', status: 'failed', error: 'HTTP 503' },
+    { url: 'https://x.test/c/', status: 'pending' }
+  ]
+});
+
+test('--resume continues an unfinished run without touching its statuses', () => {
+  const queue = savedQueue(false);
+  assert.equal(resumeQueue(queue, false), 0);
+  assert.deepEqual(queue.items.map(item => item.status), ['done', 'failed', 'pending']);
+});
+
+test('--resume has nothing to do once a run finished', () => {
+  assert.equal(resumeQueue(savedQueue(true), false), null);
+});
+
+test('--retry-failed puts only the failed URLs back to pending and clears their errors', () => {
+  const queue = savedQueue(true);
+  assert.equal(resumeQueue(queue, true), 1);
+  assert.deepEqual(queue.items.map(item => item.status), ['done', 'pending', 'pending']);
+  assert.equal('error' in queue.items[1], false);
+});
+
+test('--retry-failed on a run with no failures has nothing to retry', () => {
+  const queue = savedQueue(true);
+  queue.items[1].status = 'done';
+  assert.equal(resumeQueue(queue, true), 0);
+});
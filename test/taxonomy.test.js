@@ -0,0 +1,84 @@
+/**
+ * The topic taxonomy file: compiling, patterns, exclusions and the coverage check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileTaxonomy, loadTaxonomy, findTopicMatch, lintTaxonomy } = require('../hinge-taxonomy');
+
+const taxonomy = compileTaxonomy({
+  categories: {
+    clinical: [{ name: 'msk', children: [{ name: 'back pain', synonyms: ['lower back pain'], children: [{ name: 'sciatica' }] }] }],
+    technology: [{ name: 'ai', minCount: 2 }],
+    market: [
+      { name: 'value-based care', patterns: ['value[ -]based (care|payment|contract)'] },
+      { name: 'study', exclude: ['case study'] }
+    ]
+  }
+}, 'test');
+const topic = (name) => taxonomy.topics.find(candidate => candidate.name === name);
+
+test('the shipped taxonomy file compiles', () => {
+  assert.ok(loadTaxonomy().topics.length > 0);
+});
+
+test('children keep their path, depth and parent; minCount defaults to 5', () => {
+  const sciatica = topic('sciatica');
+  assert.deepEqual(sciatica.path, ['msk', 'back pain', 'sciatica']);
+  assert.equal(sciatica.depth, 3);
+  assert.equal(sciatica.parent, 'back pain');
+  assert.deepEqual(topic('back pain').children, ['sciatica']);
+  assert.deepEqual(topic('back pain').terms, ['back pain', 'lower back pain']);
+  assert.equal(sciatica.minCount, 5);
+  assert.equal(topic('ai').minCount, 2);
+});
+
+test('structural problems are all reported at once', () => {
+  assert.throws(() => compileTaxonomy({
+    categories: {
+      clinical: [{ name: 'msk' }, { name: 'msk' }, { synonyms: ['x'] }],
+      market: [{ name: 'roi', patterns: ['(unclosed'], colour: 'red' }]
+    }
+  }, 'broken.json'), (error) => {
+    assert.match(error.message, /Invalid taxonomy broken\.json/);
+    assert.match(error.message, /"msk" appears twice in clinical/);
+    assert.match(error.message, /topic without a name/);
+    assert.match(error.message, /bad pattern \/\(unclosed\//);
+    assert.match(error.message, /unknown key "colour"/);
+    return true;
+  });
+});
+
+test('patterns match the raw text and report /source/ as the term', () => {
+  const match = findTopicMatch(topic('value-based care'), 'Shifting to value-based payment models');
+  assert.equal(match.term, '/value[ -]based (care|payment|contract)/');
+  assert.equal(match.text, 'value-based payment');
+});
+
+test('exclusions only drop mentions inside the excluded phrase', () => {
+  assert.equal(findTopicMatch(topic('study'), 'Read the case study'), null);
+
+  const match = findTopicMatch(topic('study'), 'Read the case study. A clinical study found gains.');
+  assert.equal(match.start, 32);
+  assert.equal(match.mentions, 1);
+});
+
+test('lint flags synonyms that only repeat a term in plural', () => {
+  const redundant = compileTaxonomy({ categories: { business: [{ name: 'employer', synonyms: ['employers'] }] } }, 'test');
+  const warnings = lintTaxonomy(redundant, [{ title: 'employer news', metaDescription: '', url: 'https://x.test/a/' }]);
+  assert.deepEqual(warnings, ['"employers" (business: employer) repeats "employer" - plurals already match']);
+});
+
+test('lint checks coverage against body text, not just title and meta', () => {
+  const warnings = lintTaxonomy(taxonomy, [{ title: 'News', metaDescription: '', url: 'https://x.test/a/', bodyText: 'Value-based care is growing.' }]);
+  assert.ok(!warnings.some(warning => warning.includes('value-based care')));
+  assert.ok(warnings.some(warning => warning.startsWith('"ai"')));
+});
+
+test('lint flags a term that also matches inside another topic\'s term', () => {
+  const overlapping = compileTaxonomy({
+    categories: { clinical: [{ name: 'pain' }], market: [{ name: 'pain management' }] }
+  }, 'test');
+  const warnings = lintTaxonomy(overlapping, [{ title: 'pain management', metaDescription: '', url: 'https://x.test/a/' }]);
+  assert.deepEqual(warnings, ['"pain" (clinical: pain) also matches inside "pain management" (market: pain management)']);
+});
@@ -0,0 +1,65 @@
+/**
+ * URL normalization and duplicate-record merging
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeUrl, dedupeRecords } = require('../hinge-scraper-sitemap');
+
+test('normalizeUrl drops query strings and fragments', () => {
+  assert.equal(
+    normalizeUrl('https://www.hingehealth.com/resources/articles/back-pain/?utm_source=x#top'),
+    'https://www.hingehealth.com/resources/articles/back-pain/'
+  );
+});
+
+test('normalizeUrl collapses duplicate slashes and adds a trailing slash to pages', () => {
+  assert.equal(
+    normalizeUrl('https://www.hingehealth.com//resources//articles/back-pain'),
+    'https://www.hingehealth.com/resources/articles/back-pain/'
+  );
+});
+
+test('normalizeUrl leaves file paths without a trailing slash', () => {
+  assert.equal(
+    normalizeUrl('https://www.hingehealth.com/resources/report.pdf'),
+    'https://www.hingehealth.com/resources/report.pdf'
+  );
+});
+
+test('normalizeUrl resolves relative URLs and rejects what it cannot parse', () => {
+  assert.equal(normalizeUrl('/resources/glossary/', 'https://www.hingehealth.com/x/'), 'https://www.hingehealth.com/resources/glossary/');
+  assert.equal(normalizeUrl('mailto:hi@example.com'), null);
+  assert.equal(normalizeUrl('http://[bad'), null);
+});
+
+test('dedupeRecords merges records that share a URL variant', () => {
+  const merged = dedupeRecords([
+    { id: 'a', url: 'https://x.test/page', title: 'Old', firstSeen: '2024-01-01T00:00:00Z', lastChecked: '2024-01-01T00:00:00Z', isNew: false },
+    { id: 'b', url: 'https://x.test/page/?ref=nav', title: 'New', firstSeen: '2025-01-01T00:00:00Z', lastChecked: '2025-06-01T00:00:00Z', isNew: true }
+  ]);
+
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].title, 'New');
+  assert.equal(merged[0].firstSeen, '2024-01-01T00:00:00Z');
+  assert.equal(merged[0].isNew, false);
+  assert.deepEqual(merged[0].sourceUrls, ['https://x.test/page/']);
+});
+
+test('dedupeRecords prefers a live record over a tombstone', () => {
+  const merged = dedupeRecords([
+    { id: 'a', url: 'https://x.test/page/', title: 'Live', lastChecked: '2024-01-01T00:00:00Z' },
+    { id: 'a', url: 'https://x.test/page/', title: 'Gone', removed: true, lastChecked: '2025-01-01T00:00:00Z' }
+  ]);
+
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].title, 'Live');
+});
+
+test('dedupeRecords keeps unrelated pages apart', () => {
+  const merged = dedupeRecords([
+    { id: 'a', url: 'https://x.test/one/' },
+    { id: 'b', url: 'https://x.test/two/' }
+  ]);
+  assert.equal(merged.length, 2);
+});
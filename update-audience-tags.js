@@ -1,69 +1,21 @@
 #!/usr/bin/env node
 
 /**
- * Update audience tags for all existing content with improved detection
+ * Re-tag the audience of all existing content with the current rules in hinge-core.js
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-
-const DATA_FILE = path.join(__dirname, 'hinge-content.json');
-
-function determineAudience(content) {
-  const text = (content.title + ' ' + content.metaDescription + ' ' + content.categories.join(' ')).toLowerCase();
-  const url = content.url.toLowerCase();
-  const audiences = [];
-
-  // HEALTH PLAN CONTENT - Payers, insurance, health plans
-  const healthPlanPatterns = /\b(health plan|payer|insurance|cigna|aetna|anthem|humana|united healthcare|bcbs|blue cross|value.based care|population health|medical spend|health system|healthcare system|integrated care|care coordination)/;
-  if (text.match(healthPlanPatterns) || url.includes('/health-plans') || url.includes('/payers')) {
-    audiences.push('health plans');
-  }
-
-  // EMPLOYER CONTENT - Workplace, HR, employee benefits
-  const employerPatterns = /\b(employer|workplace|hr\b|benefits? leader|cost saving|reduces cost|roi\b|return on investment|total cost|claims|absenteeism|employee (engagement|well.?being|wellness|health program)|workforce|total rewards|beloved benefit|employee.focused|lower cost.*productivity|engagement.*cost)/;
-  // Case studies, whitepapers, reports, guides are B2B (employer or health plan)
-  const isB2BContent = ['case-study', 'whitepaper', 'report-guide'].includes(content.contentType);
-
-  if (text.match(employerPatterns) || url.includes('/employers')) {
-    audiences.push('employers');
-  } else if (isB2BContent && !audiences.includes('health plans')) {
-    // If it's B2B content but not health plan, default to employer
-    audiences.push('employers');
-  }
-
-  // PROVIDER CONTENT - For clinicians/PTs (very specific patterns)
-  const providerPatterns = /(for providers|for clinicians|provider network|provider portal|clinical guidelines|join our team|provider resources|provider integration|hingeselect|provider benefit|providers benefit|for physical therapist|clinician dashboard)/;
-  if (text.match(providerPatterns) || url.includes('/for-providers')) {
-    audiences.push('providers');
-  }
-
-  // MEMBER CONTENT - Individuals, diagnoses, symptoms, pain, health education
-  const memberPatterns = /(how to|your (care|treatment|exercises|sleep|pain|body|health|knee|back|shoulder|hip|neck)|message your|use the app|exercises for|symptoms? of|symptom|treatment for|living with|managing (your|headache|pain)|self-care|pain relief|member|patient|individual|patient guide|for you|download.{0,10}app|definition and what it is|enso|kegel|pelvic|pain relief device|improving your|managing your|sleep position|pain cycle|bladder habit|breathing exercise|mindfulness|yoga|stretching|warm.up|nutrition|veggie|walking program|lifting|pregnancy|caregiver|tired of pain|breaking the|food for|tips for|ways to|strategies for your|rethink your pain|chronic pain|belly band|incontinence|water intake|stairs and|tennis player|fall leaves|beginner|full.body|resistance|portion|daily walking|diagnosis|diagnose|condition|injury|ache|aching|sore|arthritis|sciatica|tendonitis|fracture|sprain|strain|inflammation|therapy for|relief for|cope with|deal with)/;
-  // Glossary, support, and for-individuals are always for members
-  if (text.match(memberPatterns) || url.includes('/members') || url.includes('/for-individuals') ||
-      content.contentType === 'support' || content.contentType === 'glossary' ||
-      content.contentType === 'for-individuals') {
-    audiences.push('members');
-  }
-
-  // PARTNER CONTENT - Only explicit partnerships (very narrow)
-  const partnerPatterns = /\b(announces partnership|partner program|technology partner|strategic alliance|collaboration with|partnering with)/;
-  if (text.match(partnerPatterns) || url.includes('/partners')) {
-    audiences.push('partners');
-  }
-
-  // If no specific audience detected, mark as general
-  if (audiences.length === 0) {
-    return ['general'];
-  }
-
-  return audiences;
-}
+const { openStorage } = require('./hinge-storage');
+const { determineAudience } = require('./hinge-core');
 
 async function updateAudienceTags() {
   console.log('Loading existing content...');
-  const data = JSON.parse(await fs.readFile(DATA_FILE, 'utf8'));
+  const storage = await openStorage();
+  const data = await storage.loadDataset();
+  if (!data) {
+    console.error('No content found. Run the scraper first: npm run scrape');
+    await storage.close();
+    return;
+  }
 
   console.log(`Updating audience tags for ${data.content.length} items...\n`);
 
@@ -73,11 +25,6 @@ async function updateAudienceTags() {
   const newCounts = {};
 
   data.content.forEach(item => {
-    // Merge whitepaper into report-guide content type
-    if (item.contentType === 'whitepaper') {
-      item.contentType = 'report-guide';
-    }
-
     // Track old audiences
     item.targetAudience.forEach(aud => {
       oldCounts[aud] = (oldCounts[aud] || 0) + 1;
@@ -98,8 +45,9 @@ async function updateAudienceTags() {
     }
   });
 
-  // Save updated data
-  await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
+  // Save updated data (validated against the schema before it's written)
+  await storage.saveDataset(data);
+  await storage.close();
 
   console.log('✓ Audience tags updated!');
   console.log(`\nChanged: ${changed} items`);
@@ -112,7 +60,10 @@ async function updateAudienceTags() {
     console.log(`  ${aud}: ${count}`);
   });
 
-  console.log('\n✓ Updated file saved to:', DATA_FILE);
+  console.log(`\n✓ Updated content saved (${storage.backend} storage)`);
 }
 
-updateAudienceTags().catch(console.error);
+updateAudienceTags().catch(error => {
+  console.error('✗ Updating audience tags failed:', error.message);
+  process.exitCode = 1;
+});